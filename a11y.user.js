@@ -46,20 +46,314 @@
     let mutationObserver = null;
     let enhancementScheduled = false;
 
+    // Dry-run: tracked setters record proposals instead of touching the page
+    let auditMode = false;
+    let auditRecords = [];
+    let auditIssues = []; // problems found but not fixable, see reportIssue()
+    let auditIds = new WeakMap(); // Map<Element, string> ids an audit would generate, see ensureId()
+    let currentEnhancer = null; // name of the enhancer currently running
+
     const A11Y_FLAG = 'data-a11y-flag';
+    const A11Y_UI_ATTR = 'data-a11y-ui'; // marks the engine's own UI, which is never enhanced
+
+    // Tracks per-element original attrs/styles (+ which enhancer made each change)
+    const changeLog = new Map(); // Map<Element, { attrs: {}, styles: {}, meta: { attrs: {}, styles: {} } }>
 
-    // Tracks per-element original attrs/styles
-    const changeLog = new Map(); // Map<Element, { attrs: {}, styles: {} }>
+    // Tracks event listeners bound by enhancers so rollback also removes behavior
+    let listenerLog = []; // [{ target, type, listener, options, enhancer }]
 
     // References for added elements/styles
-    let skipLinkEl = null;
+    let skipLinkEl = null; // skip-link menu, see SKIP_LINK_TARGETS
+    const skipLinkTargets = new Map(); // Map<'main' | 'navigation' | 'search' | 'footer', Element>
     let liveRegionEl = null;
-    let globalStyleEl = null;
+    let lastAnnouncement = ''; // for the "repeat last announcement" shortcut
+    const globalStyleEls = new Map(); // Map<Document, HTMLStyleElement> (page + same-origin frames)
 
     // Perf / GC
     let mutationCounter = 0;
     let pendingItemCount = 0; // for infinite scroll announcements
 
+    /* ---------------------------------------------------------
+       SETTINGS (persisted in localStorage)
+    --------------------------------------------------------- */
+
+    const SETTINGS_KEY = 'a11y_settings';
+
+    const DEFAULT_SETTINGS = {
+        minConfidence: 0, // fixes scored below this are not applied (0 = apply everything)
+        launcherPosition: 'bottom-right', // see LAUNCHER_POSITIONS, or 'hidden'
+        verbosity: 'all', // 'off' | 'essential' | 'all' (adds "N more items loaded" etc.)
+        shortcuts: {} // action name -> key combination ('' = off), see SHORTCUT_ACTIONS
+    };
+
+    const VERBOSITY_LEVELS = ['off', 'essential', 'all'];
+
+    const settings = loadSettings();
+
+    function loadSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') || {};
+        } catch (e) {
+            // corrupt or unavailable storage: fall back to defaults
+        }
+        return Object.assign({}, DEFAULT_SETTINGS, stored);
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        } catch (e) {
+            // ignore storage errors
+        }
+    }
+
+    function updateSettings(patch) {
+        const previous = Object.assign({}, settings);
+        Object.keys(patch || {}).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) return;
+            settings[key] = patch[key];
+        });
+        settings.minConfidence = Math.min(1, Math.max(0, Number(settings.minConfidence) || 0));
+        if (settings.launcherPosition !== 'hidden' && !LAUNCHER_POSITIONS[settings.launcherPosition]) {
+            settings.launcherPosition = DEFAULT_SETTINGS.launcherPosition;
+        }
+        if (VERBOSITY_LEVELS.indexOf(settings.verbosity) === -1) {
+            settings.verbosity = DEFAULT_SETTINGS.verbosity;
+        }
+        if (settings.shortcuts !== previous.shortcuts) {
+            settings.shortcuts = sanitizeShortcuts(settings.shortcuts);
+        }
+        saveSettings();
+
+        if (settings.launcherPosition !== previous.launcherPosition) {
+            updateLauncher();
+        }
+
+        if (a11yEnabled && settings.minConfidence !== previous.minConfidence) {
+            pruneLowConfidenceFixes();
+            scanSubtree(document.body);
+        }
+        emitEvent('settings', Object.assign({}, settings));
+        return Object.assign({}, settings);
+    }
+
+    /* ---------------------------------------------------------
+       SELECTOR LISTS (extensible per site, see profile below)
+    --------------------------------------------------------- */
+
+    const BASE_SELECTORS = {
+        buttons: ['button', '[role="button"]', '[onclick]', '[class*="btn"]', '[class*="button"]'],
+        clickable: ['.clickable', '[class*="btn"]', '[class*="button"]'],
+        dropdown: [
+            '[data-toggle]',
+            '[data-accordion]',
+            '.dropdown-toggle',
+            '.accordion-title',
+            '.accordion-header',
+            '.faq-question',
+            '.collapsible',
+            '.collapse-toggle',
+            '.menu-toggle',
+            '.nav-toggle'
+        ],
+        liveRegion: ['.toast', '.notification', '.alert', '.snackbar'],
+        slider: ['.slider', '.range', '[data-slider]'],
+        tablist: ['[role="tablist"]', '.tabs', '.tab-list', '.nav-tabs', '.tab-container'],
+        modal: [
+            '.modal',
+            '.dialog',
+            '.popup',
+            '.lightbox',
+            '[data-modal]',
+            '[data-dialog]'
+        ],
+        stickyHeader: ['header', '[class*="header"]', '[class*="top-bar"]'],
+        sidebar: ['[class*="sidebar"]', '[class*="side-bar"]'],
+        pseudoHeading: ['[class*="title"]', '[class*="heading"]', '[class*="headline"]', '[class*="section-head"]']
+    };
+
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string' || !selector.trim()) return false;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Built-in list plus whatever the site profile adds
+    function getSelector(key) {
+        const extra = profile.selectors[key] || [];
+        return (BASE_SELECTORS[key] || []).concat(extra).join(',');
+    }
+
+    /* ---------------------------------------------------------
+       PER-SITE PROFILE
+       { enhancers: { [name]: boolean }, selectors: { [key]: string[] },
+         icons: { [iconName]: label | { label, button?, link? } } }
+       Stored per hostname; anything not set falls back to defaults.
+    --------------------------------------------------------- */
+
+    const PROFILE_KEY = 'a11y_profile:' + location.hostname;
+
+    let storedProfileProblems = []; // entries dropped from the stored profile, listed in the audit
+    const profile = loadProfile();
+
+    // Storage may have been edited by hand or written by an older version, so it goes
+    // through the same checks as updateProfile()
+    function loadProfile() {
+        const loaded = { enhancers: {}, selectors: {}, icons: {} };
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILE_KEY) || '{}') || {};
+            storedProfileProblems = applyProfilePatch(loaded, stored);
+        } catch (e) {
+            // corrupt or unavailable storage: fall back to defaults
+        }
+        return loaded;
+    }
+
+    function keysOf(value) {
+        return value && typeof value === 'object' ? Object.keys(value) : [];
+    }
+
+    // Writes the valid parts of patch into target; returns a description of each rejected entry
+    function applyProfilePatch(target, patch) {
+        const rejected = [];
+
+        keysOf(patch.enhancers).forEach(name => {
+            const value = patch.enhancers[name];
+            if (value === null || value === undefined) {
+                delete target.enhancers[name];
+            } else if (typeof value === 'boolean') {
+                target.enhancers[name] = value;
+            } else {
+                rejected.push('enhancer switch "' + name + '" is not true or false');
+            }
+        });
+
+        keysOf(patch.selectors).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(BASE_SELECTORS, key)) {
+                rejected.push('unknown selector list "' + key + '"');
+                return;
+            }
+            const list = patch.selectors[key];
+            if (list === null || list === undefined) {
+                delete target.selectors[key];
+                return;
+            }
+            const entries = [].concat(list);
+            const valid = entries.filter(isValidSelector);
+            entries.filter(selector => valid.indexOf(selector) === -1).forEach(selector => {
+                rejected.push('invalid selector ' + JSON.stringify(selector) + ' for "' + key + '"');
+            });
+            target.selectors[key] = valid;
+        });
+
+        keysOf(patch.icons).forEach(name => {
+            const value = patch.icons[name];
+            const key = String(name).toLowerCase().replace(/_/g, '-');
+            if (value === null || value === undefined) {
+                delete target.icons[key];
+            } else if (typeof value === 'string' && value.trim()) {
+                target.icons[key] = value.trim();
+            } else if (value && typeof value.label === 'string' && value.label.trim()) {
+                target.icons[key] = {
+                    label: value.label,
+                    button: typeof value.button === 'string' ? value.button : undefined,
+                    link: typeof value.link === 'string' ? value.link : undefined
+                };
+            } else {
+                rejected.push('icon entry "' + name + '" has no label');
+            }
+        });
+
+        return rejected;
+    }
+
+    function saveProfile() {
+        try {
+            localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+        } catch (e) {
+            // ignore storage errors
+        }
+    }
+
+    function getProfile() {
+        return JSON.parse(JSON.stringify(profile));
+    }
+
+    // patch: { enhancers: { name: bool|null }, selectors: { key: string[]|null }, icons: { name: label|object|null } };
+    // null resets to default
+    function updateProfile(patch) {
+        const rejected = applyProfilePatch(profile, patch || {});
+
+        saveProfile();
+        if (a11yEnabled) {
+            scanSubtree(document.body);
+        }
+        emitEvent('profile', getProfile());
+        // the profile as stored now, plus what this patch could not apply
+        return Object.assign(getProfile(), { rejected: rejected });
+    }
+
+    function resetProfile() {
+        profile.enhancers = {};
+        profile.selectors = {};
+        profile.icons = {};
+        try {
+            localStorage.removeItem(PROFILE_KEY);
+        } catch (e) {
+            // ignore storage errors
+        }
+        if (a11yEnabled) {
+            scanSubtree(document.body);
+        }
+        emitEvent('profile', getProfile());
+        return getProfile();
+    }
+
+    /* ---------------------------------------------------------
+       HEURISTIC CONFIDENCE
+       How much a label produced by each heuristic step can be
+       trusted. Changes made without a step (roles, ids, states
+       derived from markup) count as 1.
+    --------------------------------------------------------- */
+
+    const HEURISTIC_CONFIDENCE = {
+        'user correction': 1,
+        'icon class': 0.9,
+        'svg title': 0.9,
+        'child aria': 0.85,
+        'icon svg': 0.8,
+        'icon ligature': 0.8,
+        'placeholder': 0.8,
+        'figcaption': 0.8,
+        'image title': 0.7,
+        'onclick intent': 0.7,
+        'sprite id': 0.7,
+        'decorative icon': 0.7,
+        'url intent': 0.6,
+        'background image': 0.6,
+        'decorative image': 0.6,
+        'link destination': 0.5,
+        'sibling text': 0.4,
+        'heading style': 0.5,
+        'role fallback': 0.9,
+        'broken reference': 0.9,
+        'required state': 0.5,
+        'required child role': 0.5,
+        'landmark heading': 0.8,
+        'search form': 0.8,
+        'cursor': 0.4,
+        'filename': 0.3,
+        'form context': 0.3,
+        'role context': 0.2,
+        'fallback': 0.1,
+        'modal background': 1
+    };
+
     /* ---------------------------------------------------------
        UTILITIES
     --------------------------------------------------------- */
@@ -72,9 +366,20 @@
         return el && el.nodeType === 1;
     }
 
+    // Computed style from the element's own window (it may live in a same-origin frame)
+    function getStyle(el) {
+        const view = el.ownerDocument && el.ownerDocument.defaultView;
+        return (view || window).getComputedStyle(el);
+    }
+
+    function docOf(node) {
+        if (node && node.nodeType === 9) return node;
+        return (node && node.ownerDocument) || document;
+    }
+
     function isVisible(el) {
         if (!isElement(el)) return false;
-        const style = window.getComputedStyle(el);
+        const style = getStyle(el);
         if (style.visibility === 'hidden' || style.display === 'none' || style.opacity === '0') return false;
         const rect = el.getBoundingClientRect();
         return rect.width > 0 && rect.height > 0;
@@ -84,35 +389,143 @@
         return prefix + '-' + Math.random().toString(36).slice(2, 10) + '-' + Date.now();
     }
 
+    // el's id, generating a tracked one when it has none (during an audit: the id it would get).
+    // '' when no id could be set, e.g. the user reverted this element
+    function ensureId(el, prefix) {
+        if (el.id) return el.id;
+        if (auditMode) {
+            if (isEngineUI(el) || isDismissed(el, currentEnhancer)) return '';
+            if (!auditIds.has(el)) {
+                const id = uniqueId(prefix);
+                setAttrTracked(el, 'id', id);
+                auditIds.set(el, id);
+            }
+            return auditIds.get(el);
+        }
+        setAttrTracked(el, 'id', uniqueId(prefix));
+        return el.id;
+    }
+
+    function isEngineUI(el) {
+        return isElement(el) && !!el.closest('[' + A11Y_UI_ATTR + ']');
+    }
+
     function ensureEntry(el) {
         if (!changeLog.has(el)) {
-            changeLog.set(el, { attrs: {}, styles: {} });
+            changeLog.set(el, { attrs: {}, styles: {}, meta: { attrs: {}, styles: {} } });
         }
         return changeLog.get(el);
     }
 
-    function setAttrTracked(el, attr, value) {
+    function describeChange(provenance) {
+        const step = provenance && provenance.step ? provenance.step : null;
+        let confidence = provenance && typeof provenance.confidence === 'number' ? provenance.confidence : null;
+        if (confidence === null) {
+            confidence = step && HEURISTIC_CONFIDENCE[step] !== undefined ? HEURISTIC_CONFIDENCE[step] : 1;
+        }
+        return { enhancer: currentEnhancer, step: step, confidence: confidence };
+    }
+
+    // provenance (optional): { step, confidence } of the heuristic that produced the value
+    function setAttrTracked(el, attr, value, provenance) {
+        if (isEngineUI(el) || isDismissed(el, currentEnhancer)) return;
+        const meta = describeChange(provenance);
+        if (auditMode) {
+            recordAuditProposal(el, 'attr', attr, el.getAttribute(attr), value, meta);
+            return;
+        }
+        if (meta.confidence < settings.minConfidence) return;
         const entry = ensureEntry(el);
         if (!Object.prototype.hasOwnProperty.call(entry.attrs, attr)) {
             entry.attrs[attr] = el.hasAttribute(attr) ? el.getAttribute(attr) : null;
         }
+        entry.meta.attrs[attr] = meta;
         el.setAttribute(attr, value);
+        emitEvent('enhanced', { element: el, attr: attr, value: value, step: meta.step, confidence: meta.confidence });
+    }
+
+    function setLabelTracked(el, label, step) {
+        setAttrTracked(el, 'aria-label', label, { step: step });
     }
 
     function removeAttrTracked(el, attr) {
+        if (isEngineUI(el) || isDismissed(el, currentEnhancer)) return;
+        if (auditMode) {
+            recordAuditProposal(el, 'attr', attr, el.getAttribute(attr), null, describeChange());
+            return;
+        }
         const entry = ensureEntry(el);
         if (!Object.prototype.hasOwnProperty.call(entry.attrs, attr)) {
             entry.attrs[attr] = el.hasAttribute(attr) ? el.getAttribute(attr) : null;
         }
+        entry.meta.attrs[attr] = describeChange();
         el.removeAttribute(attr);
+        emitEvent('enhanced', { element: el, attr: attr, value: null });
     }
 
     function setStyleTracked(el, prop, value) {
+        if (isEngineUI(el) || isDismissed(el, currentEnhancer)) return;
+        if (auditMode) {
+            recordAuditProposal(el, 'style', prop, el.style[prop] || '', value, describeChange());
+            return;
+        }
         const entry = ensureEntry(el);
         if (!Object.prototype.hasOwnProperty.call(entry.styles, prop)) {
             entry.styles[prop] = el.style[prop] || '';
         }
+        entry.meta.styles[prop] = describeChange();
         el.style[prop] = value;
+        emitEvent('enhanced', { element: el, style: prop, value: value });
+    }
+
+    // Inline style value from before the engine touched it
+    function getOriginalStyle(el, prop) {
+        const entry = changeLog.get(el);
+        if (entry && Object.prototype.hasOwnProperty.call(entry.styles, prop)) {
+            return entry.styles[prop];
+        }
+        return el.style[prop] || '';
+    }
+
+    // Marks el as handled by the running enhancer; false if it already was or the user reverted it
+    function claimElement(el, flag) {
+        if (el.getAttribute(A11Y_FLAG + '-' + flag) === '1') return false;
+        if (isDismissed(el, currentEnhancer)) return false;
+        setAttrTracked(el, A11Y_FLAG + '-' + flag, '1');
+        return true;
+    }
+
+    // Enhancers bind behavior through here so a dry run never touches the page and
+    // disable/revert can detach it again. The handler runs as its enhancer, so changes
+    // it makes are attributed (and revertible) the same way.
+    function addEnhancerListener(target, type, handler, options) {
+        if (auditMode) return;
+        const enhancer = currentEnhancer;
+        if (isDismissed(target, enhancer)) return;
+
+        const listener = function (e) {
+            const previous = currentEnhancer;
+            currentEnhancer = enhancer;
+            try {
+                return handler.call(this, e);
+            } finally {
+                currentEnhancer = previous;
+            }
+        };
+        target.addEventListener(type, listener, options);
+        listenerLog.push({ target: target, type: type, listener: listener, options: options, enhancer: enhancer });
+    }
+
+    // Detach tracked listeners matching predicate (all of them when omitted)
+    function removeTrackedListeners(predicate) {
+        let removed = 0;
+        listenerLog = listenerLog.filter(record => {
+            if (predicate && !predicate(record)) return true;
+            record.target.removeEventListener(record.type, record.listener, record.options);
+            removed++;
+            return false;
+        });
+        return removed;
     }
 
     function clearAllTrackedChanges() {
@@ -139,6 +552,152 @@
         changeLog.clear();
     }
 
+    // Restore a single tracked attribute to its original value and forget it
+    function revertTrackedAttr(el, attr) {
+        const entry = changeLog.get(el);
+        if (!entry || !Object.prototype.hasOwnProperty.call(entry.attrs, attr)) return false;
+
+        const oldVal = entry.attrs[attr];
+        if (oldVal === null) {
+            el.removeAttribute(attr);
+        } else {
+            el.setAttribute(attr, oldVal);
+        }
+        delete entry.attrs[attr];
+        delete entry.meta.attrs[attr];
+        if (!Object.keys(entry.attrs).length && !Object.keys(entry.styles).length) {
+            changeLog.delete(el);
+        }
+        return true;
+    }
+
+    function revertTrackedStyle(el, prop) {
+        const entry = changeLog.get(el);
+        if (!entry || !Object.prototype.hasOwnProperty.call(entry.styles, prop)) return false;
+
+        el.style[prop] = entry.styles[prop];
+        delete entry.styles[prop];
+        delete entry.meta.styles[prop];
+        if (!Object.keys(entry.attrs).length && !Object.keys(entry.styles).length) {
+            changeLog.delete(el);
+        }
+        return true;
+    }
+
+    function pruneLowConfidenceFixes() {
+        let count = 0;
+        changeLog.forEach((entry, el) => {
+            Object.keys(entry.meta.attrs).forEach(attr => {
+                if (entry.meta.attrs[attr].confidence < settings.minConfidence) {
+                    if (revertTrackedAttr(el, attr)) count++;
+                }
+            });
+        });
+        if (count) emitEvent('reverted', { element: null, enhancer: null, count: count });
+    }
+
+    /* ---------------------------------------------------------
+       PARTIAL ROLLBACK
+       Reverted fixes are remembered for the session so the next
+       scan doesn't immediately re-apply them.
+    --------------------------------------------------------- */
+
+    let dismissedElements = new WeakSet(); // every enhancer keeps off these
+    let dismissedEnhancers = new WeakMap(); // WeakMap<Element, Set<enhancer name>>
+
+    function isDismissed(el, enhancer) {
+        if (dismissedElements.has(el)) return true;
+        const names = dismissedEnhancers.get(el);
+        return !!(names && enhancer && names.has(enhancer));
+    }
+
+    function dismissEnhancerFor(el, enhancer) {
+        if (!dismissedEnhancers.has(el)) {
+            dismissedEnhancers.set(el, new Set());
+        }
+        dismissedEnhancers.get(el).add(enhancer);
+    }
+
+    function revertElement(el) {
+        if (!isElement(el)) return 0;
+        dismissedElements.add(el);
+        const entry = changeLog.get(el);
+        let count = 0;
+        if (entry) {
+            Object.keys(entry.attrs).forEach(attr => {
+                if (revertTrackedAttr(el, attr)) count++;
+            });
+            Object.keys(entry.styles).forEach(prop => {
+                if (revertTrackedStyle(el, prop)) count++;
+            });
+        }
+        removeTrackedListeners(record => record.target === el);
+        emitEvent('reverted', { element: el, enhancer: null, count: count });
+        return count;
+    }
+
+    function revertEnhancer(name) {
+        let count = 0;
+        changeLog.forEach((entry, el) => {
+            Object.keys(entry.meta.attrs).forEach(attr => {
+                if (entry.meta.attrs[attr].enhancer !== name) return;
+                dismissEnhancerFor(el, name);
+                if (revertTrackedAttr(el, attr)) count++;
+            });
+            Object.keys(entry.meta.styles).forEach(prop => {
+                if (entry.meta.styles[prop].enhancer !== name) return;
+                dismissEnhancerFor(el, name);
+                if (revertTrackedStyle(el, prop)) count++;
+            });
+        });
+        removeTrackedListeners(record => record.enhancer === name);
+        emitEvent('reverted', { element: null, enhancer: name, count: count });
+        return count;
+    }
+
+    // Forget reverts (for one element, or all of them) and let the engine fix again
+    function reapplyFixes(el) {
+        if (isElement(el)) {
+            dismissedElements.delete(el);
+            dismissedEnhancers.delete(el);
+        } else {
+            dismissedElements = new WeakSet();
+            dismissedEnhancers = new WeakMap();
+        }
+        if (a11yEnabled) {
+            scanSubtree(document.body);
+        }
+    }
+
+    function countChangesByEnhancer() {
+        const counts = {};
+        changeLog.forEach(entry => {
+            Object.keys(entry.meta.attrs).concat(Object.keys(entry.meta.styles)).forEach(key => {
+                const meta = entry.meta.attrs[key] || entry.meta.styles[key];
+                const name = meta && meta.enhancer;
+                if (name) counts[name] = (counts[name] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    // Snapshot of changeLog for API consumers; attrs/styles hold the ORIGINAL values
+    function getTrackedChanges() {
+        const list = [];
+        changeLog.forEach((entry, el) => {
+            list.push({
+                element: el,
+                attrs: Object.assign({}, entry.attrs),
+                styles: Object.assign({}, entry.styles),
+                meta: {
+                    attrs: Object.assign({}, entry.meta.attrs),
+                    styles: Object.assign({}, entry.meta.styles)
+                }
+            });
+        });
+        return list;
+    }
+
     // GC: clean out entries for elements no longer in DOM
     function garbageCollect() {
         for (const el of changeLog.keys()) {
@@ -146,25 +705,67 @@
                 changeLog.delete(el);
             }
         }
+        // drop the references only: a detached node that comes back keeps working,
+        // and its handlers are inert while the engine is off
+        listenerLog = listenerLog.filter(record => record.target.isConnected);
     }
 
+    // Only ARIA a browser honours counts: a valid role, a non-empty label, ids that resolve
     function elementHasOwnAccessibility(el) {
-        if (el.hasAttribute('role')) return true;
-        if (el.hasAttribute('aria-label')) return true;
-        if (el.hasAttribute('aria-labelledby')) return true;
-        if (el.hasAttribute('aria-describedby')) return true;
+        if (getValidRole(el)) return true;
+        if ((el.getAttribute('aria-label') || '').trim()) return true;
+        if (hasResolvedIdRef(el, 'aria-labelledby')) return true;
+        if (hasResolvedIdRef(el, 'aria-describedby')) return true;
         return false;
     }
 
-    function inputHasAssociatedLabel(input) {
-        if (!isElement(input)) return false;
-        const id = input.id;
-        if (id) {
-            const label = document.querySelector('label[for="' + id + '"]');
-            if (label) return true;
+    function cssEscape(value) {
+        if (window.CSS && typeof window.CSS.escape === 'function') return window.CSS.escape(value);
+        return String(value).replace(/[^a-zA-Z0-9_-]/g, '\\$&');
+    }
+
+    // Readable, reasonably stable selector for reports; ignores ids the engine generated
+    function getSelectorPath(el) {
+        const parts = [];
+        let node = el;
+        while (isElement(node) && node !== document.documentElement) {
+            if (node.id && node.id.indexOf('a11y-') !== 0) {
+                parts.unshift('#' + cssEscape(node.id));
+                break;
+            }
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const sameTag = toArray(parent.children).filter(c => c.tagName === node.tagName);
+                if (sameTag.length > 1) {
+                    part += ':nth-of-type(' + (sameTag.indexOf(node) + 1) + ')';
+                }
+            }
+            parts.unshift(part);
+            node = parent;
+        }
+        return parts.join(' > ');
+    }
+
+    // Tab-key focus trap shared by page dialogs and the engine's own panels
+    function trapTabKey(container, e) {
+        const focusables = getFocusable(container);
+        if (!focusables.length) return;
+
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey) {
+            if (getDeepActiveElement() === first) {
+                e.preventDefault();
+                last.focus();
+            }
+        } else {
+            if (getDeepActiveElement() === last) {
+                e.preventDefault();
+                first.focus();
+            }
         }
-        const parentLabel = input.closest('label');
-        return !!parentLabel;
     }
 
     function getFocusable(root) {
@@ -178,95 +779,762 @@
             '[tabindex]:not([tabindex="-1"])',
             '[role="button"]'
         ].join(',');
-        return toArray((root || document).querySelectorAll(selector)).filter(isVisible);
+        // walk the composed tree so focusables inside open shadow roots keep their place
+        const found = [];
+        const visit = parent => {
+            toArray(parent.children).forEach(child => {
+                if (child.matches(selector)) found.push(child);
+                if (child.shadowRoot) visit(child.shadowRoot);
+                visit(child);
+            });
+        };
+        visit(root || document);
+        return found.filter(isVisible);
     }
 
     /* ---------------------------------------------------------
-       TOGGLE BUTTON
+       SHADOW DOM
+       Open shadow roots are discovered as subtrees are scanned,
+       queried by queryAllDeep() and observed like document.body.
     --------------------------------------------------------- */
 
-    function createToggleButton() {
-        if (!document.body) return;
-        if (document.getElementById('a11y-toggle-btn')) return;
-
-        const btn = document.createElement('button');
-        btn.id = 'a11y-toggle-btn';
-        btn.type = 'button';
-        Object.assign(btn.style, {
-            position: 'fixed',
-            bottom: '20px',
-            right: '20px',
-            zIndex: '2147483647',
-            padding: '8px 12px',
-            borderRadius: '6px',
-            border: 'none',
-            fontSize: '13px',
-            cursor: 'pointer',
-            boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
-            color: '#fff'
+    const shadowRoots = new Set(); // open ShadowRoots found so far
+
+    function discoverShadowRoots(root) {
+        if (!root || !root.querySelectorAll) return;
+        const elements = toArray(root.querySelectorAll('*'));
+        if (isElement(root)) elements.unshift(root);
+        elements.forEach(el => {
+            const sr = el.shadowRoot;
+            if (!sr || shadowRoots.has(sr)) return;
+            shadowRoots.add(sr);
+            observeRoot(sr);
+            discoverShadowRoots(sr);
         });
+    }
 
-        a11yEnabled = (localStorage.getItem('a11y_enabled') === 'true');
+    // Like node.contains(), but crosses shadow boundaries
+    function composedContains(ancestor, node) {
+        let n = node;
+        while (n) {
+            if (n === ancestor) return true;
+            n = n.parentNode || n.host || null;
+        }
+        return false;
+    }
 
-        function updateBtnVisual() {
-            if (a11yEnabled) {
-                btn.textContent = 'A11Y: ON';
-                btn.style.background = '#28a745';
-                btn.setAttribute('aria-pressed', 'true');
-            } else {
-                btn.textContent = 'A11Y: OFF';
-                btn.style.background = '#dc3545';
-                btn.setAttribute('aria-pressed', 'false');
+    // Stops at frame boundaries: shadow roots inside a frame belong to that frame's document
+    function queryAllDeep(root, selector) {
+        const scope = root || document;
+        let results = toArray(scope.querySelectorAll(selector));
+        shadowRoots.forEach(sr => {
+            if (!sr.host.isConnected) return;
+            if (scope.nodeType === 9 ? sr.host.ownerDocument === scope : composedContains(scope, sr.host)) {
+                results = results.concat(toArray(sr.querySelectorAll(selector)));
             }
-        }
+        });
+        return results;
+    }
 
-        updateBtnVisual();
-        document.body.appendChild(btn);
+    // id lookup in the element's own tree (shadow root or document)
+    function getByIdFrom(el, id) {
+        if (!id) return null;
+        const rootNode = el && el.getRootNode ? el.getRootNode() : document;
+        return (rootNode.getElementById ? rootNode.getElementById(id) : null) || docOf(el).getElementById(id);
+    }
 
-        btn.addEventListener('click', () => {
-            a11yEnabled = !a11yEnabled;
-            localStorage.setItem('a11y_enabled', String(a11yEnabled));
-            updateBtnVisual();
-            if (a11yEnabled) {
-                enableA11Y();
+    // Follows focus into open shadow roots and same-origin frames
+    function getDeepActiveElement() {
+        let el = document.activeElement;
+        while (el) {
+            if (el.shadowRoot && el.shadowRoot.activeElement) {
+                el = el.shadowRoot.activeElement;
+            } else if (el.tagName === 'IFRAME' && getFrameDocument(el) && getFrameDocument(el).activeElement) {
+                el = getFrameDocument(el).activeElement;
             } else {
-                disableA11Y();
+                break;
             }
-        });
-
-        if (a11yEnabled) {
-            enableA11Y();
         }
+        return el;
+    }
+
+    function pruneShadowRoots() {
+        shadowRoots.forEach(sr => {
+            if (!sr.host.isConnected) shadowRoots.delete(sr);
+        });
     }
 
     /* ---------------------------------------------------------
-       GLOBAL STYLES, SKIP LINK, LIVE REGION
+       ACCESSIBLE NAME (W3C accname 1.2 + HTML-AAM)
+       What assistive tech would announce; enhancers only label
+       elements whose computed name is empty.
     --------------------------------------------------------- */
 
-    function addGlobalStyles() {
-        if (globalStyleEl || !a11yEnabled) return;
-        if (!document.head) return;
+    // Roles whose name can come from their content (accname step 2F)
+    const NAME_FROM_CONTENT_ROLES = [
+        'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+        'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+        'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+    ];
+
+    const INPUT_BUTTON_DEFAULTS = { submit: 'Submit', reset: 'Reset' };
+
+    function getRole(el) {
+        const explicit = getValidRole(el);
+        if (explicit) return explicit;
+
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'a' || tag === 'area') return el.hasAttribute('href') ? 'link' : '';
+        if (/^h[1-6]$/.test(tag)) return 'heading';
+        if (tag === 'button' || tag === 'summary') return 'button';
+        if (tag === 'td') return 'cell';
+        if (tag === 'th') return 'columnheader';
+        if (tag === 'tr') return 'row';
+        if (tag === 'option') return 'option';
+        if (tag === 'textarea') return 'textbox';
+        if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        if (tag === 'img') return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+        if (tag === 'input') {
+            const type = (el.getAttribute('type') || 'text').toLowerCase();
+            if (/^(button|submit|reset|image)$/.test(type)) return 'button';
+            if (type === 'checkbox' || type === 'radio') return type;
+            if (type === 'range') return 'slider';
+            if (type === 'number') return 'spinbutton';
+            if (type === 'search') return 'searchbox';
+            return 'textbox';
+        }
+        return '';
+    }
 
-        const style = document.createElement('style');
-        style.id = 'a11y-global-style';
-        style.textContent = `
-            :where(a, button, input, textarea, select, [tabindex]):focus-visible {
-                outline: 3px solid #005fcc !important;
-                outline-offset: 2px !important;
-            }
+    // Hidden from the accessibility tree; visually-hidden (.sr-only) text does not count
+    function isHiddenFromAT(el) {
+        if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+        const style = getStyle(el);
+        return style.display === 'none' || style.visibility === 'hidden';
+    }
 
-            .a11y-skip-link {
-                position: absolute;
-                left: -999px;
-                top: -999px;
-                background: #000;
-                color: #fff;
-                padding: 6px 10px;
-                z-index: 2147483647;
-            }
-            .a11y-skip-link:focus {
-                left: 10px;
-                top: 10px;
+    // <label for> in the same tree plus a wrapping <label>
+    function getAssociatedLabels(control) {
+        const labels = [];
+        if (control.id) {
+            const rootNode = control.getRootNode ? control.getRootNode() : document;
+            const scope = rootNode.querySelectorAll ? rootNode : docOf(control);
+            toArray(scope.querySelectorAll('label[for="' + cssEscape(control.id) + '"]')).forEach(l => labels.push(l));
+        }
+        const wrapping = control.parentElement && control.parentElement.closest('label');
+        if (wrapping && labels.indexOf(wrapping) === -1 && !wrapping.hasAttribute('for')) labels.push(wrapping);
+        return labels;
+    }
+
+    function normalizeName(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // options.placeholder === false leaves out the placeholder fallback;
+    // options.role names a role-less element as if it had that role
+    function getAccessibleName(el, options) {
+        if (!isElement(el)) return '';
+        const ctx = {
+            visited: new Set(),
+            placeholder: !(options && options.placeholder === false),
+            role: options && options.role
+        };
+        return normalizeName(computeName(el, ctx, { root: true }));
+    }
+
+    function computeName(node, ctx, state) {
+        if (node.nodeType === 3) return node.textContent; // 2G
+        if (!isElement(node) || ctx.visited.has(node)) return '';
+        ctx.visited.add(node);
+
+        // 2A: hidden nodes only count when an aria-labelledby points straight at them
+        if (!state.referenced && !state.hiddenOk && isHiddenFromAT(node)) return '';
+        const hiddenOk = state.hiddenOk || (state.referenced && isHiddenFromAT(node));
+
+        // 2B: aria-labelledby (not followed recursively); ids that resolve to nothing are ignored
+        if (!state.inLabelledby && node.hasAttribute('aria-labelledby')) {
+            const refs = node.getAttribute('aria-labelledby').split(/\s+/)
+                .map(id => id && getByIdFrom(node, id))
+                .filter(Boolean);
+            const name = refs.map(ref => {
+                ctx.visited.delete(ref); // a node may label itself
+                return computeName(ref, ctx, { inLabelledby: true, referenced: true, recursing: true });
+            }).join(' ');
+            if (normalizeName(name)) return name;
+        }
+
+        const role = getRole(node) || (state.root && ctx.role) || '';
+        const tag = node.tagName.toLowerCase();
+
+        // 2C: controls embedded in a label contribute their value
+        if (state.recursing && !state.root) {
+            if (role === 'textbox' || role === 'searchbox') return node.value || node.textContent || '';
+            if (role === 'combobox' || role === 'listbox') {
+                if (tag === 'select') {
+                    return toArray(node.selectedOptions || []).map(o => o.textContent).join(' ');
+                }
+                const selected = node.querySelector('[aria-selected="true"]');
+                return selected ? selected.textContent : (node.value || '');
+            }
+            if (role === 'slider' || role === 'spinbutton') {
+                return node.getAttribute('aria-valuetext') || node.getAttribute('aria-valuenow') || node.value || '';
+            }
+        }
+
+        // 2D: aria-label
+        const ariaLabel = node.getAttribute('aria-label');
+        if (ariaLabel && ariaLabel.trim()) return ariaLabel;
+
+        // 2E: host-language label (HTML-AAM)
+        if (role !== 'presentation' && role !== 'none') {
+            const native = getNativeName(node, ctx, tag);
+            if (normalizeName(native)) return native;
+        }
+
+        // 2F: name from content
+        if (state.recursing || NAME_FROM_CONTENT_ROLES.indexOf(role) !== -1) {
+            const content = getNameFromContent(node, ctx, { recursing: true, inLabelledby: state.inLabelledby, hiddenOk: hiddenOk });
+            if (normalizeName(content)) return content;
+        }
+
+        // 2I: tooltip, then placeholder for text fields
+        const title = node.getAttribute('title');
+        if (title && title.trim()) return title;
+        if (ctx.placeholder && (tag === 'input' || tag === 'textarea')) {
+            return node.getAttribute('placeholder') || '';
+        }
+        return '';
+    }
+
+    function getNativeName(node, ctx, tag) {
+        if (tag === 'input') {
+            const type = (node.getAttribute('type') || 'text').toLowerCase();
+            if (type === 'image') return node.getAttribute('alt') || node.getAttribute('value') || '';
+            if (/^(button|submit|reset)$/.test(type)) {
+                return node.hasAttribute('value') ? node.getAttribute('value') : (INPUT_BUTTON_DEFAULTS[type] || '');
+            }
+        }
+        if (/^(input|select|textarea|button|meter|output|progress)$/.test(tag)) {
+            const labels = getAssociatedLabels(node);
+            if (labels.length) {
+                return labels.map(label => {
+                    ctx.visited.delete(label);
+                    return computeName(label, ctx, { recursing: true });
+                }).join(' ');
+            }
+            return '';
+        }
+        if (tag === 'img' || tag === 'area') return node.getAttribute('alt') || '';
+        if (tag === 'fieldset' || tag === 'figure' || tag === 'table') {
+            const caption = toArray(node.children).find(child => /^(LEGEND|FIGCAPTION|CAPTION)$/.test(child.tagName));
+            return caption ? computeName(caption, ctx, { recursing: true }) : '';
+        }
+        if (tag === 'svg') {
+            const title = toArray(node.children).find(child => child.tagName.toLowerCase() === 'title');
+            return title ? title.textContent : '';
+        }
+        return '';
+    }
+
+    function getNameFromContent(node, ctx, state) {
+        const parts = [];
+        const view = docOf(node).defaultView || window;
+        const pseudo = which => {
+            try {
+                const content = view.getComputedStyle(node, which).content;
+                return content && /^["'].*["']$/.test(content) ? content.slice(1, -1) : '';
+            } catch (e) {
+                return '';
+            }
+        };
+
+        parts.push(pseudo('::before'));
+        // slotted/shadow content is what renders for hosts
+        const children = node.shadowRoot ? toArray(node.shadowRoot.childNodes) : toArray(node.childNodes);
+        children.forEach(child => {
+            if (child.nodeType === 3) {
+                parts.push(child.textContent);
+            } else if (isElement(child)) {
+                const nodes = child.tagName === 'SLOT' && child.assignedNodes ? child.assignedNodes({ flatten: true }) : [child];
+                nodes.forEach(n => {
+                    const text = computeName(n, ctx, state);
+                    // block-level children are separated like rendered lines
+                    const block = isElement(n) && !/^inline/.test(getStyle(n).display || 'inline');
+                    parts.push(block ? ' ' + text + ' ' : text);
+                });
+            }
+        });
+        parts.push(pseudo('::after'));
+        return parts.join('');
+    }
+
+    /* ---------------------------------------------------------
+       EVENTS
+    --------------------------------------------------------- */
+
+    const eventHandlers = {}; // { [type]: Set<Function> }
+
+    function subscribe(type, handler) {
+        if (typeof handler !== 'function') return () => {};
+        if (!eventHandlers[type]) {
+            eventHandlers[type] = new Set();
+        }
+        eventHandlers[type].add(handler);
+        return () => unsubscribe(type, handler);
+    }
+
+    function unsubscribe(type, handler) {
+        if (eventHandlers[type]) {
+            eventHandlers[type].delete(handler);
+        }
+    }
+
+    function emitEvent(type, detail) {
+        const handlers = eventHandlers[type];
+        if (!handlers || !handlers.size) return;
+        handlers.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                // a broken subscriber must never break the engine
+                rethrowLater(e);
+            }
+        });
+    }
+
+    // Surfaces an error as uncaught (console, window.onerror) without stopping the caller
+    function rethrowLater(error) {
+        setTimeout(() => {
+            throw error;
+        });
+    }
+
+    /* ---------------------------------------------------------
+       LAUNCHER (opens the settings panel)
+    --------------------------------------------------------- */
+
+    const LAUNCHER_POSITIONS = {
+        'bottom-right': { top: '', right: '20px', bottom: '20px', left: '' },
+        'bottom-left': { top: '', right: '', bottom: '20px', left: '20px' },
+        'top-right': { top: '20px', right: '20px', bottom: '', left: '' },
+        'top-left': { top: '20px', right: '', bottom: '', left: '20px' }
+    };
+
+    function createLauncher() {
+        if (!document.body) return;
+        if (document.getElementById('a11y-launcher')) return;
+
+        const btn = document.createElement('button');
+        btn.id = 'a11y-launcher';
+        btn.type = 'button';
+        btn.setAttribute(A11Y_UI_ATTR, '');
+        btn.setAttribute('aria-haspopup', 'dialog');
+        Object.assign(btn.style, {
+            position: 'fixed',
+            zIndex: '2147483647',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            border: 'none',
+            fontSize: '13px',
+            cursor: 'pointer',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
+            color: '#fff'
+        });
+
+        a11yEnabled = (localStorage.getItem('a11y_enabled') === 'true');
+
+        document.body.appendChild(btn);
+        updateLauncher();
+
+        btn.addEventListener('click', openSettingsPanel);
+
+        if (a11yEnabled) {
+            enableA11Y();
+        }
+    }
+
+    function updateLauncher() {
+        const btn = document.getElementById('a11y-launcher');
+        if (!btn) return;
+
+        const position = LAUNCHER_POSITIONS[settings.launcherPosition];
+        if (position) {
+            Object.assign(btn.style, position, { display: '' });
+        } else {
+            btn.style.display = 'none'; // 'hidden': the openSettings shortcut still works
+        }
+
+        if (a11yEnabled) {
+            btn.textContent = 'A11Y: ON';
+            btn.style.background = '#28a745';
+            btn.setAttribute('aria-label', 'Accessibility settings, engine on');
+        } else {
+            btn.textContent = 'A11Y: OFF';
+            btn.style.background = '#dc3545';
+            btn.setAttribute('aria-label', 'Accessibility settings, engine off');
+        }
+    }
+
+    // Single entry point for switching the engine (settings panel + public API)
+    function setEnabled(enabled) {
+        enabled = !!enabled;
+        if (enabled === a11yEnabled) return;
+        a11yEnabled = enabled;
+        localStorage.setItem('a11y_enabled', String(a11yEnabled));
+        updateLauncher();
+        if (a11yEnabled) {
+            enableA11Y();
+        } else {
+            disableA11Y();
+        }
+    }
+
+    /* ---------------------------------------------------------
+       ENGINE PANELS (modal UI owned by the engine)
+    --------------------------------------------------------- */
+
+    const openPanels = new Map(); // Map<id, close()>
+
+    function createEnginePanel(id, title, onClose) {
+        if (openPanels.has(id)) {
+            openPanels.get(id)();
+        }
+
+        const returnFocus = document.activeElement;
+
+        const panel = document.createElement('div');
+        panel.id = id;
+        panel.setAttribute(A11Y_UI_ATTR, '');
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', id + '-title');
+        panel.tabIndex = -1;
+        Object.assign(panel.style, {
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            zIndex: '2147483647',
+            width: 'min(640px, 92vw)',
+            maxHeight: '80vh',
+            overflow: 'auto',
+            padding: '16px 20px',
+            borderRadius: '8px',
+            background: '#fff',
+            color: '#111',
+            font: '14px/1.4 system-ui, sans-serif',
+            boxShadow: '0 8px 30px rgba(0,0,0,0.4)',
+            textAlign: 'left'
+        });
+
+        const heading = document.createElement('h2');
+        heading.id = id + '-title';
+        heading.textContent = title;
+        Object.assign(heading.style, { margin: '0 0 12px', fontSize: '18px' });
+
+        const body = document.createElement('div');
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.textContent = 'Close';
+
+        const actions = document.createElement('div');
+        Object.assign(actions.style, { display: 'flex', gap: '8px', marginTop: '12px' });
+        actions.appendChild(closeBtn);
+
+        panel.appendChild(heading);
+        panel.appendChild(body);
+        panel.appendChild(actions);
+
+        function close() {
+            if (openPanels.get(id) !== close) return;
+            openPanels.delete(id);
+            panel.remove();
+            if (onClose) onClose();
+            if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+                returnFocus.focus();
+            }
+        }
+
+        closeBtn.addEventListener('click', close);
+        panel.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close();
+            } else if (e.key === 'Tab') {
+                trapTabKey(panel, e);
+            }
+        });
+
+        document.body.appendChild(panel);
+        openPanels.set(id, close);
+        panel.focus();
+
+        return { panel: panel, body: body, actions: actions, close: close };
+    }
+
+    function createPanelButton(text, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    function createCheckboxRow(id, text, checked, onChange) {
+        const row = document.createElement('div');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = id;
+        input.checked = !!checked;
+        input.addEventListener('change', () => onChange(input.checked));
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = ' ' + text;
+        row.appendChild(input);
+        row.appendChild(label);
+        return row;
+    }
+
+    // options: [[value, text], ...]
+    function createSelectRow(id, text, options, value, onChange) {
+        const row = document.createElement('div');
+        row.style.margin = '6px 0';
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = text + ' ';
+        const select = document.createElement('select');
+        select.id = id;
+        options.forEach(([optValue, optText]) => {
+            const option = document.createElement('option');
+            option.value = optValue;
+            option.textContent = optText;
+            select.appendChild(option);
+        });
+        select.value = String(value);
+        select.addEventListener('change', () => onChange(select.value));
+        row.appendChild(label);
+        row.appendChild(select);
+        return row;
+    }
+
+    /* ---------------------------------------------------------
+       SETTINGS PANEL
+    --------------------------------------------------------- */
+
+    function openSettingsPanel() {
+        if (!document.body) return;
+
+        let statusFrame = 0;
+        const stopStatusUpdates = subscribe('enhanced', scheduleStatus);
+        const ui = createEnginePanel('a11y-settings-panel', 'Accessibility engine settings', () => {
+            stopStatusUpdates();
+            cancelAnimationFrame(statusFrame);
+        });
+
+        const status = document.createElement('p');
+        status.setAttribute('role', 'status');
+
+        function refreshStatus() {
+            statusFrame = 0;
+            status.textContent = a11yEnabled
+                ? 'Fixes applied on this page: ' + changeLog.size + ' elements.'
+                : 'The engine is off on ' + (location.hostname || 'this page') + '.';
+            inspectBtn.disabled = !a11yEnabled;
+            jumpBtn.disabled = !a11yEnabled;
+        }
+
+        function scheduleStatus() {
+            if (!statusFrame) statusFrame = requestAnimationFrame(refreshStatus);
+        }
+
+        ui.body.appendChild(createCheckboxRow('a11y-set-enabled', 'Enable on ' + (location.hostname || 'this page'), a11yEnabled, checked => {
+            setEnabled(checked);
+            refreshStatus();
+        }));
+        ui.body.appendChild(status);
+
+        const enhancers = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = 'Enhancers on this site';
+        enhancers.appendChild(legend);
+        const changeCounts = countChangesByEnhancer();
+        listEnhancers().forEach(e => {
+            const row = createCheckboxRow('a11y-set-enh-' + e.name, e.description || e.name, e.enabled, checked => {
+                setEnhancerEnabled(e.name, checked);
+                scheduleStatus();
+            });
+            if (changeCounts[e.name]) {
+                const undo = createPanelButton('Undo ' + changeCounts[e.name] + ' fixes', () => {
+                    revertEnhancer(e.name);
+                    row.querySelector('input').focus();
+                    undo.remove();
+                    scheduleStatus();
+                });
+                undo.setAttribute('aria-label', 'Undo ' + changeCounts[e.name] + ' fixes by ' + (e.description || e.name));
+                undo.style.marginLeft = '8px';
+                row.appendChild(undo);
+            }
+            enhancers.appendChild(row);
+        });
+        ui.body.appendChild(enhancers);
+
+        ui.body.appendChild(createSelectRow('a11y-set-verbosity', 'Announcements', [
+            ['all', 'All (including loaded items)'],
+            ['essential', 'Essential only'],
+            ['off', 'Off']
+        ], settings.verbosity, value => updateSettings({ verbosity: value })));
+
+        ui.body.appendChild(createSelectRow('a11y-set-confidence', 'Skip guessed labels below', [
+            ['0', 'No threshold'],
+            ['0.3', 'Low confidence (30%)'],
+            ['0.5', 'Medium confidence (50%)'],
+            ['0.8', 'High confidence (80%)']
+        ], settings.minConfidence, value => {
+            updateSettings({ minConfidence: Number(value) });
+            scheduleStatus();
+        }));
+
+        ui.body.appendChild(createSelectRow('a11y-set-launcher', 'Launcher button', [
+            ['bottom-right', 'Bottom right'],
+            ['bottom-left', 'Bottom left'],
+            ['top-right', 'Top right'],
+            ['top-left', 'Top left'],
+            ['hidden', 'Hidden (' + (getShortcutKeys('openSettings') || 'the API') + ' opens settings)']
+        ], settings.launcherPosition, value => updateSettings({ launcherPosition: value })));
+
+        ui.body.appendChild(createShortcutFieldset());
+
+        const inspectBtn = createPanelButton('Inspect fixes', () => {
+            ui.close();
+            setInspector(true);
+        });
+        const jumpBtn = createPanelButton('Quick navigation', () => {
+            ui.close();
+            openQuickNav();
+        });
+        const auditBtn = createPanelButton('Run audit', () => {
+            ui.close();
+            showAuditPanel(runAudit());
+        });
+        ui.actions.insertBefore(auditBtn, ui.actions.firstChild);
+        ui.actions.insertBefore(inspectBtn, ui.actions.firstChild);
+        ui.actions.insertBefore(jumpBtn, ui.actions.firstChild);
+
+        refreshStatus();
+    }
+
+    // One recorder field per action: pressing a combination in it rebinds the action
+    function createShortcutFieldset() {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = 'Keyboard shortcuts';
+        fieldset.appendChild(legend);
+
+        const hint = document.createElement('p');
+        hint.id = 'a11y-set-keys-hint';
+        hint.textContent = 'Focus a shortcut and press the new key combination. Backspace switches it off.';
+        Object.assign(hint.style, { margin: '0 0 6px', fontSize: '12px' });
+        fieldset.appendChild(hint);
+
+        const rows = {};
+
+        function refresh() {
+            getShortcuts().forEach(shortcut => {
+                rows[shortcut.name].input.value = shortcut.keys || 'Off';
+                rows[shortcut.name].warning.textContent = shortcut.conflict ? ' Conflict: ' + shortcut.conflict : '';
+            });
+        }
+
+        SHORTCUT_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.style.margin = '4px 0';
+            const label = document.createElement('label');
+            label.htmlFor = 'a11y-set-key-' + action.name;
+            label.textContent = action.description + ' ';
+            const input = document.createElement('input');
+            input.id = 'a11y-set-key-' + action.name;
+            input.type = 'text';
+            input.readOnly = true;
+            input.size = 18;
+            const warning = document.createElement('span');
+            warning.id = input.id + '-conflict';
+            warning.style.color = '#b00020';
+            input.setAttribute('aria-describedby', hint.id + ' ' + warning.id);
+
+            input.addEventListener('keydown', e => {
+                if (e.key === 'Tab' || e.key === 'Escape') return;
+                e.preventDefault();
+                if (e.key === 'Backspace' || e.key === 'Delete') {
+                    setShortcut(action.name, '');
+                    refresh();
+                    return;
+                }
+                const keys = eventToShortcut(e);
+                if (!keys) return; // still holding modifiers
+                if (setShortcut(action.name, keys) === false) {
+                    warning.textContent = ' ' + keys + ' needs Ctrl, Alt or Meta';
+                    return;
+                }
+                refresh();
+            });
+
+            rows[action.name] = { input: input, warning: warning };
+            row.appendChild(label);
+            row.appendChild(input);
+            row.appendChild(warning);
+            fieldset.appendChild(row);
+        });
+
+        fieldset.appendChild(createPanelButton('Reset shortcuts', () => {
+            updateSettings({ shortcuts: {} });
+            refresh();
+        }));
+
+        refresh();
+        return fieldset;
+    }
+
+    /* ---------------------------------------------------------
+       GLOBAL STYLES, SKIP LINKS, LIVE REGION
+    --------------------------------------------------------- */
+
+    function addGlobalStyles(doc) {
+        doc = doc || document;
+        if (globalStyleEls.has(doc) || !a11yEnabled) return;
+        if (!doc.head) return;
+
+        const style = doc.createElement('style');
+        style.id = 'a11y-global-style';
+        style.textContent = `
+            :where(a, button, input, textarea, select, [tabindex]):focus-visible {
+                outline: 3px solid #005fcc !important;
+                outline-offset: 2px !important;
+            }
+
+            .a11y-skip-links {
+                position: absolute;
+                left: -999px;
+                top: -999px;
+                z-index: 2147483647;
+            }
+            .a11y-skip-links:focus-within {
+                left: 10px;
+                top: 10px;
+            }
+            .a11y-skip-links ul {
+                display: flex;
+                gap: 4px;
+                margin: 0;
+                padding: 0;
+                list-style: none;
+            }
+            .a11y-skip-link {
+                display: block;
+                background: #000;
+                color: #fff;
+                padding: 6px 10px;
             }
 
             .a11y-live-region {
@@ -277,36 +1545,116 @@
                 overflow: hidden;
             }
         `;
-        document.head.appendChild(style);
-        globalStyleEl = style;
+        doc.head.appendChild(style);
+        globalStyleEls.set(doc, style);
     }
 
     function removeGlobalStyles() {
-        if (globalStyleEl && globalStyleEl.parentNode) {
-            globalStyleEl.parentNode.removeChild(globalStyleEl);
-        }
-        globalStyleEl = null;
+        globalStyleEls.forEach(style => {
+            if (style.parentNode) {
+                style.parentNode.removeChild(style);
+            }
+        });
+        globalStyleEls.clear();
     }
 
-    function addSkipLink() {
-        if (!a11yEnabled) return;
-        if (!document.body) return;
-        if (skipLinkEl && skipLinkEl.parentNode) return;
+    /* Skip-link menu: one link per inferred landmark (main, primary
+       navigation, search, footer), kept in sync by the skipLinks global
+       enhancer so it follows SPA navigation. */
+
+    const SKIP_LINK_TARGETS = [
+        ['main', 'Skip to main content'],
+        ['navigation', 'Skip to navigation'],
+        ['search', 'Skip to search'],
+        ['footer', 'Skip to footer']
+    ];
+    const SEARCH_FIELD_SELECTOR = 'input[type="search"], [role="searchbox"], input[name="q"], input[name="s"], input[name="search"], input[name="query"]';
+
+    // Map<key, Element> for SKIP_LINK_TARGETS, from the landmarks the regions enhancer inferred
+    function findSkipTargets(doc) {
+        const landmarks = getLandmarks(doc);
+        const byRole = role => landmarks.filter(l => l.role === role).map(l => l.element);
+        const targets = new Map();
+
+        const main = byRole('main')[0];
+        if (main) targets.set('main', main);
+
+        // primary navigation: named as such, else the one in the banner, else the first
+        const navs = landmarks.filter(l => l.role === 'navigation');
+        const primary = navs.find(l => /main|primary|site|global/i.test(l.name)) ||
+            navs.find(l => l.element.closest('header, [role="banner"]')) ||
+            navs[0];
+        if (primary) targets.set('navigation', primary.element);
+
+        let search = byRole('search')[0];
+        if (!search) {
+            const field = queryAllDeep(doc, SEARCH_FIELD_SELECTOR).find(isNavigable);
+            search = field ? field.closest('form') || field : null;
+        }
+        if (search) targets.set('search', search);
+
+        const footer = byRole('contentinfo')[0];
+        if (footer) targets.set('footer', footer);
+        return targets;
+    }
 
-        let mainCandidate = document.querySelector('main');
-        if (!mainCandidate) {
-            mainCandidate = document.body;
+    function makeFocusTarget(el) {
+        if (el.tabIndex < 0 && !el.hasAttribute('tabindex')) {
+            setAttrTracked(el, 'tabindex', '-1');
         }
-        if (!mainCandidate.id) {
-            setAttrTracked(mainCandidate, 'id', 'a11y-main');
+    }
+
+    function enhanceSkipLinksGlobal(root) {
+        const doc = docOf(root);
+        if (!a11yEnabled || doc !== document || !doc.body) return;
+
+        const targets = findSkipTargets(doc);
+        targets.forEach(makeFocusTarget);
+        if (auditMode) return; // the menu itself is engine UI
+
+        skipLinkTargets.clear();
+        targets.forEach((el, key) => skipLinkTargets.set(key, el));
+        updateSkipLinks();
+    }
+
+    // Adds / removes links in place so a focused skip link survives a refresh
+    function updateSkipLinks() {
+        if (!skipLinkEl || !skipLinkEl.isConnected) {
+            if (!skipLinkTargets.size) return;
+            skipLinkEl = document.createElement('nav');
+            skipLinkEl.setAttribute(A11Y_UI_ATTR, '');
+            skipLinkEl.setAttribute('aria-label', 'Skip links');
+            skipLinkEl.className = 'a11y-skip-links';
+            skipLinkEl.appendChild(document.createElement('ul'));
+            document.body.insertBefore(skipLinkEl, document.body.firstChild);
         }
 
-        const skip = document.createElement('a');
-        skip.href = '#' + mainCandidate.id;
-        skip.className = 'a11y-skip-link';
-        skip.textContent = 'Skip to main content';
-        document.body.insertBefore(skip, document.body.firstChild);
-        skipLinkEl = skip;
+        const list = skipLinkEl.firstChild;
+        SKIP_LINK_TARGETS.forEach(([key, text], index) => {
+            let item = list.querySelector('[data-a11y-skip="' + key + '"]');
+            if (!skipLinkTargets.has(key)) {
+                if (item) item.remove();
+                return;
+            }
+            const target = skipLinkTargets.get(key);
+            if (!item) {
+                item = document.createElement('li');
+                item.setAttribute('data-a11y-skip', key);
+                const link = document.createElement('a');
+                link.className = 'a11y-skip-link';
+                link.textContent = text;
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    if (skipLinkTargets.has(key)) focusNavigationTarget(skipLinkTargets.get(key));
+                });
+                item.appendChild(link);
+                const next = SKIP_LINK_TARGETS.slice(index + 1)
+                    .map(([other]) => list.querySelector('[data-a11y-skip="' + other + '"]'))
+                    .find(Boolean);
+                list.insertBefore(item, next || null);
+            }
+            item.firstChild.href = '#' + (target.id || '');
+        });
     }
 
     function removeSkipLink() {
@@ -314,6 +1662,7 @@
             skipLinkEl.parentNode.removeChild(skipLinkEl);
         }
         skipLinkEl = null;
+        skipLinkTargets.clear();
     }
 
     function getLiveRegion() {
@@ -322,6 +1671,7 @@
 
         const region = document.createElement('div');
         region.id = 'a11y-live-region';
+        region.setAttribute(A11Y_UI_ATTR, '');
         region.className = 'a11y-live-region';
         region.setAttribute('role', 'status');
         region.setAttribute('aria-live', 'polite');
@@ -337,11 +1687,15 @@
         liveRegionEl = null;
     }
 
-    function announce(text) {
-        if (!a11yEnabled) return;
+    // level: 'essential' (default) or 'info'; filtered by settings.verbosity
+    function announce(text, level) {
+        if (!a11yEnabled || auditMode) return;
         if (!text) return;
+        if (settings.verbosity === 'off') return;
+        if (settings.verbosity === 'essential' && level === 'info') return;
         const region = getLiveRegion();
         if (!region) return;
+        lastAnnouncement = text;
         region.textContent = '';
         setTimeout(() => {
             region.textContent = text;
@@ -349,70 +1703,468 @@
     }
 
     /* ---------------------------------------------------------
-       ADVANCED BUTTON LABELING
+       USER LABEL CORRECTIONS
+       Names entered by the user (Alt+Shift+L on the focused
+       element), stored per hostname against an element
+       fingerprint and applied before any heuristic runs.
     --------------------------------------------------------- */
 
-    function enhanceUnlabeledButtons(root) {
-        if (!a11yEnabled) return;
+    const LABELS_KEY = 'a11y_labels:' + location.hostname;
 
-        const container = root || document;
+    const userLabels = loadUserLabels(); // [{ fingerprint, label }]
 
-        const candidates = container.querySelectorAll(
-            'button, [role="button"], [onclick], [class*="btn"], [class*="button"]'
-        );
+    function loadUserLabels() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LABELS_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
 
-        candidates.forEach(btn => {
-            if (!isElement(btn)) return;
-            if (!isVisible(btn)) return;
+    function saveUserLabels() {
+        try {
+            localStorage.setItem(LABELS_KEY, JSON.stringify(userLabels));
+        } catch (e) {
+            // ignore storage errors
+        }
+    }
 
-            if (btn.hasAttribute("aria-label") || btn.hasAttribute("aria-labelledby")) return;
+    function hashString(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
 
-            // Skip if it already has visible text
-            if ((btn.innerText || "").trim().length > 0) return;
+    // Markup of the SVG without the ARIA the engine (or the page) may add later,
+    // so the icon pass does not change the hash between visits
+    function hashSvg(svg) {
+        const clone = svg.cloneNode(true);
+        [clone].concat(toArray(clone.querySelectorAll('*'))).forEach(node => {
+            toArray(node.attributes).forEach(attr => {
+                if (/^(aria-|data-a11y-)/.test(attr.name) || attr.name === 'role' || attr.name === 'focusable' || attr.name === 'tabindex') {
+                    node.removeAttribute(attr.name);
+                }
+            });
+        });
+        return hashString(clone.outerHTML);
+    }
 
-            let label = null;
+    function getFingerprint(el) {
+        return {
+            path: getSelectorPath(el),
+            tag: el.tagName.toLowerCase(),
+            classes: getFingerprintClasses(el),
+            href: el.getAttribute('href') || '',
+            svg: getFingerprintSvg(el)
+        };
+    }
 
-            // 1. ICON-BASED HEURISTICS
-            const classStr = btn.className || "";
-            const svg = btn.querySelector("svg");
-
-            const iconHints = {
-                Search: /search|magnify/i,
-                Menu: /menu|hamburger|bars/i,
-                Close: /close|times|x-mark|dismiss/i,
-                Next: /next|arrow-right|chevron-right/i,
-                Previous: /prev|previous|arrow-left|chevron-left/i,
-                Add: /add|plus/i,
-                Remove: /minus|remove|delete|trash/i,
-                Upload: /upload/i,
-                Download: /download/i,
-                Settings: /settings|gear|cog/i,
-                Play: /play/i,
-                Pause: /pause/i,
-                Share: /share/i
-            };
+    function getFingerprintClasses(el) {
+        return toArray(el.classList).filter(c => c.indexOf('a11y-') !== 0).sort().join(' ');
+    }
 
-            for (const [name, regex] of Object.entries(iconHints)) {
-                if (regex.test(classStr)) {
-                    label = name;
-                    break;
-                }
-                if (svg && regex.test(svg.outerHTML)) {
-                    label = name;
-                    break;
-                }
-            }
+    function getFingerprintSvg(el) {
+        const svg = el.tagName.toLowerCase() === 'svg' ? el : el.querySelector('svg');
+        return svg ? hashSvg(svg) : '';
+    }
 
-            if (label) {
-                setAttrTracked(btn, "aria-label", label);
-                return;
-            }
+    // Everything but the path must match; the path only narrows the search.
+    // Hashing clones the SVG, so it is compared last.
+    function fingerprintMatches(fingerprint, el) {
+        return el.tagName.toLowerCase() === fingerprint.tag &&
+            getFingerprintClasses(el) === fingerprint.classes &&
+            (el.getAttribute('href') || '') === fingerprint.href &&
+            getFingerprintSvg(el) === fingerprint.svg;
+    }
 
-            // 2. ONCLICK INTENT ANALYSIS
-            const onclick = btn.getAttribute("onclick") || "";
-            const clickIntent = {
-                Close: /close|dismiss|hide/,
-                Open: /open|show|toggle/,
+    // The corrected element, or null. The path is tried page-wide first; only when it
+    // matches nothing does the fingerprint stand on its own, and then it must be unique
+    function findFingerprintedElement(fingerprint) {
+        let byPath = null;
+        try {
+            byPath = document.querySelector(fingerprint.path);
+        } catch (e) {
+            // stored path no longer a valid selector
+        }
+        if (byPath && fingerprintMatches(fingerprint, byPath)) return byPath;
+
+        // Layout moved: fall back to an identical element, but never on a bare tag
+        if (!fingerprint.classes && !fingerprint.href && !fingerprint.svg) return null;
+        const candidates = toArray(document.querySelectorAll(fingerprint.tag))
+            .filter(el => fingerprintMatches(fingerprint, el));
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    // Searches root only, so a mutation batch without a matching element costs one query
+    function findFingerprinted(fingerprint, root) {
+        const scope = root || document;
+        const candidates = toArray(scope.querySelectorAll(fingerprint.tag));
+        if (isElement(scope) && scope.tagName.toLowerCase() === fingerprint.tag) candidates.unshift(scope);
+        const matches = candidates.filter(el => fingerprintMatches(fingerprint, el));
+        if (!matches.length) return [];
+        const byPath = matches.find(el => getSelectorPath(el) === fingerprint.path);
+        if (byPath) return [byPath];
+        // whether a moved element is unique is a page-wide question, asked only once one is found here
+        const el = findFingerprintedElement(fingerprint);
+        return el && matches.indexOf(el) !== -1 ? [el] : [];
+    }
+
+    function findUserLabel(el) {
+        return userLabels.find(entry => entry.fingerprint.path === getSelectorPath(el) && fingerprintMatches(entry.fingerprint, el)) ||
+            userLabels.find(entry => fingerprintMatches(entry.fingerprint, el) && findFingerprintedElement(entry.fingerprint) === el) ||
+            null;
+    }
+
+    function applyUserLabels(root) {
+        if (!a11yEnabled || !userLabels.length) return;
+        userLabels.forEach(entry => {
+            findFingerprinted(entry.fingerprint, root).forEach(el => {
+                if (el.getAttribute('aria-label') === entry.label) return;
+                setAttrTracked(el, 'aria-label', entry.label, { step: 'user correction' });
+            });
+        });
+    }
+
+    function setUserLabel(el, label) {
+        if (!isElement(el)) return false;
+        label = String(label || '').trim();
+        const existing = findUserLabel(el);
+        if (!label) return removeUserLabel(el);
+
+        if (existing) {
+            existing.label = label;
+        } else {
+            userLabels.push({ fingerprint: getFingerprint(el), label: label });
+        }
+        saveUserLabels();
+
+        // an explicit correction beats an earlier "undo" on the same element
+        dismissedElements.delete(el);
+        // while the engine is off the label is only stored; applyUserLabels puts it on at enable
+        if (a11yEnabled) {
+            const previous = currentEnhancer;
+            currentEnhancer = 'userLabels';
+            setAttrTracked(el, 'aria-label', label, { step: 'user correction' });
+            currentEnhancer = previous;
+        }
+        emitEvent('userlabel', { element: el, label: label });
+        return true;
+    }
+
+    function removeUserLabel(el) {
+        const existing = findUserLabel(el);
+        if (!existing) return false;
+        userLabels.splice(userLabels.indexOf(existing), 1);
+        saveUserLabels();
+
+        const entry = changeLog.get(el);
+        if (entry && entry.meta.attrs['aria-label'] && entry.meta.attrs['aria-label'].step === 'user correction') {
+            revertTrackedAttr(el, 'aria-label');
+        }
+        if (a11yEnabled) {
+            scanSubtree(el.parentElement || el); // let the heuristics have another go
+        }
+        emitEvent('userlabel', { element: el, label: null });
+        return true;
+    }
+
+    function openLabelEditor(el) {
+        if (!isElement(el) || el === document.body || isEngineUI(el)) {
+            announce('Focus the element to rename first');
+            return;
+        }
+
+        const ui = createEnginePanel('a11y-label-panel', 'Correct accessible name');
+        const existing = findUserLabel(el);
+
+        const current = document.createElement('p');
+        const currentName = getAccessibleName(el);
+        current.textContent = 'Element: ' + getSelectorPath(el) + '. Current name: ' + (currentName ? '"' + currentName + '"' : '(none)');
+        ui.body.appendChild(current);
+
+        const form = document.createElement('form');
+        const label = document.createElement('label');
+        label.htmlFor = 'a11y-label-input';
+        label.textContent = 'Accessible name ';
+        const input = document.createElement('input');
+        input.id = 'a11y-label-input';
+        input.type = 'text';
+        input.value = existing ? existing.label : currentName;
+        input.setAttribute('autocomplete', 'off');
+        form.appendChild(label);
+        form.appendChild(input);
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const value = input.value.trim();
+            ui.close();
+            if (value) {
+                setUserLabel(el, value);
+                announce('Name saved: ' + value);
+            } else if (removeUserLabel(el)) {
+                announce('Correction removed');
+            }
+        });
+        ui.body.appendChild(form);
+
+        const save = createPanelButton('Save', () => form.requestSubmit ? form.requestSubmit() : form.dispatchEvent(new Event('submit', { cancelable: true })));
+        ui.actions.insertBefore(save, ui.actions.firstChild);
+        if (existing) {
+            ui.actions.insertBefore(createPanelButton('Remove correction', () => {
+                ui.close();
+                removeUserLabel(el);
+                announce('Correction removed');
+            }), save.nextSibling);
+        }
+
+        input.focus();
+        input.select();
+    }
+
+    /* ---------------------------------------------------------
+       ICON VOCABULARY
+       Icon names from Font Awesome, Material Icons/Symbols,
+       Bootstrap Icons, Heroicons and Feather mapped to labels.
+       `label` names the icon itself; `button` / `link` are the
+       phrasings used when it is the only content of a control.
+       Sites add entries through the profile (`icons`), other
+       scripts through registerIcons().
+    --------------------------------------------------------- */
+
+    const ICON_VOCABULARY = [
+        { label: 'Search', match: ['search', 'magnifying-glass', 'magnify', 'magnifier', 'find'] },
+        { label: 'Menu', link: 'Open menu', match: ['bars', 'menu', 'hamburger', 'navicon', 'reorder', 'bi-list', 'three-bars', 'menu-alt', 'menu-burger'] },
+        { label: 'Close', match: ['x', 'times', 'xmark', 'x-mark', 'close', 'x-lg', 'dismiss', 'cancel', 'remove-circle'] },
+        { label: 'More', button: 'More options', match: ['ellipsis', 'ellipsis-h', 'ellipsis-v', 'ellipsis-vertical', 'ellipsis-horizontal', 'more', 'more-vert', 'more-horiz', 'more-horizontal', 'more-vertical', 'three-dots', 'three-dots-vertical', 'dots-vertical', 'dots-horizontal', 'kebab', 'meatballs'] },
+        { label: 'Next', link: 'Next page', match: ['chevron-right', 'arrow-right', 'angle-right', 'caret-right', 'navigate-next', 'arrow-forward', 'arrow-forward-ios', 'long-arrow-right', 'arrow-long-right', 'next', 'forward'] },
+        { label: 'Previous', link: 'Previous page', match: ['chevron-left', 'arrow-left', 'angle-left', 'caret-left', 'navigate-before', 'arrow-back', 'arrow-back-ios', 'long-arrow-left', 'arrow-long-left', 'prev', 'previous', 'back'] },
+        { label: 'Expand', match: ['chevron-down', 'angle-down', 'caret-down', 'expand-more', 'arrow-drop-down', 'keyboard-arrow-down'] },
+        { label: 'Collapse', match: ['chevron-up', 'angle-up', 'caret-up', 'expand-less', 'arrow-drop-up', 'keyboard-arrow-up'] },
+        { label: 'Add', link: 'Add new', match: ['plus', 'add', 'plus-lg', 'plus-circle', 'add-circle', 'plus-square', 'circle-plus', 'square-plus', 'add-box'] },
+        { label: 'Remove', match: ['minus', 'remove', 'dash', 'dash-lg', 'minus-circle', 'circle-minus', 'do-not-disturb-on'] },
+        { label: 'Delete', match: ['trash', 'trash-can', 'trash-alt', 'delete', 'delete-outline', 'delete-forever', 'bin', 'garbage'] },
+        { label: 'Edit', match: ['edit', 'pen', 'pencil', 'pen-to-square', 'pencil-square', 'pencil-alt', 'create', 'mode-edit', 'pencil-simple'] },
+        { label: 'Settings', link: 'Open settings', match: ['gear', 'cog', 'cogs', 'gears', 'settings', 'cog-6-tooth', 'cog-8-tooth', 'tools', 'wrench'] },
+        { label: 'Filter', link: 'Filters', match: ['filter', 'funnel', 'filter-list', 'filter-alt', 'adjustments', 'adjustments-horizontal', 'adjustments-vertical', 'sliders', 'sliders-h', 'tune'] },
+        { label: 'Sort', match: ['sort', 'sort-up', 'sort-down', 'arrow-up-down', 'arrows-up-down', 'swap-vert', 'arrow-down-up', 'bars-arrow-down', 'bars-arrow-up'] },
+        { label: 'Home', match: ['home', 'house', 'house-door', 'house-chimney'] },
+        { label: 'Account', link: 'View profile', match: ['user', 'person', 'user-circle', 'person-circle', 'account-circle', 'circle-user', 'profile', 'avatar', 'account'] },
+        { label: 'Cart', link: 'View cart', match: ['cart', 'shopping-cart', 'cart-shopping', 'basket', 'shopping-basket', 'basket-shopping', 'shopping-bag', 'bag', 'bag-shopping', 'local-mall'] },
+        { label: 'Add to cart', match: ['cart-plus', 'add-shopping-cart', 'cart-arrow-down'] },
+        { label: 'Like', link: 'Favorites', match: ['heart', 'favorite', 'favorite-border', 'heart-fill', 'thumbs-up', 'thumb-up', 'hand-thumbs-up', 'thumbs-o-up', 'thumb-up-off-alt'] },
+        { label: 'Star', button: 'Add to favorites', link: 'Favorites', match: ['star', 'grade', 'star-border', 'star-fill'] },
+        { label: 'Bookmark', link: 'Bookmarks', match: ['bookmark', 'bookmark-border', 'bookmark-fill'] },
+        { label: 'Notifications', match: ['bell', 'notifications', 'notifications-none', 'bell-fill', 'notifications-active'] },
+        { label: 'More information', match: ['info', 'info-circle', 'circle-info', 'information-circle', 'information', 'info-square'] },
+        { label: 'Help', match: ['question', 'question-circle', 'circle-question', 'help', 'help-outline', 'help-circle', 'question-mark-circle', 'question-mark', 'life-ring', 'life-buoy'] },
+        { label: 'Share', match: ['share', 'share-nodes', 'share-alt', 'share-from-square', 'ios-share', 'arrow-up-on-square', 'box-arrow-up'] },
+        { label: 'Download', match: ['download', 'arrow-down-tray', 'cloud-download', 'cloud-arrow-down', 'file-download', 'file-arrow-down'] },
+        { label: 'Upload', match: ['upload', 'arrow-up-tray', 'cloud-upload', 'cloud-arrow-up', 'file-upload', 'file-arrow-up'] },
+        { label: 'Play', link: 'Play video', match: ['play', 'play-circle', 'play-arrow', 'circle-play', 'play-fill'] },
+        { label: 'Pause', match: ['pause', 'pause-circle', 'circle-pause'] },
+        { label: 'Stop', match: ['stop', 'stop-circle', 'circle-stop'] },
+        { label: 'Mute', match: ['volume-mute', 'volume-xmark', 'volume-off', 'volume-x', 'speaker-x-mark', 'volume-slash'] },
+        { label: 'Volume', match: ['volume', 'volume-up', 'volume-high', 'volume-2', 'speaker-wave'] },
+        { label: 'Full screen', match: ['expand', 'maximize', 'maximize-2', 'fullscreen', 'arrows-fullscreen', 'arrows-pointing-out', 'up-right-and-down-left-from-center'] },
+        { label: 'Exit full screen', match: ['compress', 'minimize', 'minimize-2', 'fullscreen-exit', 'arrows-pointing-in', 'down-left-and-up-right-to-center'] },
+        { label: 'Refresh', match: ['refresh', 'rotate', 'rotate-right', 'arrows-rotate', 'sync', 'sync-alt', 'arrow-clockwise', 'arrow-path', 'refresh-cw', 'autorenew', 'redo', 'arrow-repeat'] },
+        { label: 'Undo', match: ['undo', 'rotate-left', 'arrow-counterclockwise', 'arrow-uturn-left', 'rotate-ccw'] },
+        { label: 'Copy', match: ['copy', 'clone', 'content-copy', 'files', 'document-duplicate', 'clipboard', 'clipboard-document'] },
+        { label: 'Save', match: ['save', 'floppy-disk', 'floppy', 'floppy-disk-pen'] },
+        { label: 'Print', match: ['print', 'printer'] },
+        { label: 'Email', link: 'Send email', match: ['envelope', 'mail', 'email', 'envelope-open', 'at'] },
+        { label: 'Call', match: ['phone', 'call', 'telephone', 'phone-alt', 'phone-call'] },
+        { label: 'Comments', match: ['comment', 'comments', 'chat', 'chat-bubble', 'message', 'message-circle', 'message-square', 'chat-dots', 'chat-bubble-left', 'forum'] },
+        { label: 'Send', match: ['paper-plane', 'send', 'paper-airplane'] },
+        { label: 'Attach file', link: 'Attachment', match: ['paperclip', 'paper-clip', 'attach-file', 'attachment'] },
+        { label: 'Calendar', button: 'Choose date', match: ['calendar', 'calendar-days', 'calendar-alt', 'calendar-today', 'event', 'calendar-event', 'calendar3'] },
+        { label: 'Location', link: 'Show location', match: ['map-marker', 'map-marker-alt', 'location-dot', 'location-pin', 'geo-alt', 'place', 'location-on', 'map-pin', 'location-marker', 'map'] },
+        { label: 'Log out', match: ['sign-out', 'sign-out-alt', 'right-from-bracket', 'logout', 'box-arrow-right', 'arrow-right-on-rectangle', 'log-out', 'arrow-right-start-on-rectangle'] },
+        { label: 'Log in', match: ['sign-in', 'sign-in-alt', 'right-to-bracket', 'login', 'box-arrow-in-right', 'arrow-left-on-rectangle', 'log-in', 'arrow-right-end-on-rectangle'] },
+        { label: 'Lock', match: ['lock', 'lock-closed', 'lock-fill'] },
+        { label: 'External link', button: 'Open in new window', match: ['external-link', 'external-link-alt', 'arrow-up-right-from-square', 'box-arrow-up-right', 'open-in-new', 'arrow-top-right-on-square', 'up-right-from-square', 'square-arrow-up-right'] },
+        { label: 'Show', button: 'Show password', link: 'View', match: ['eye', 'visibility', 'eye-fill'] },
+        { label: 'Hide', button: 'Hide password', match: ['eye-slash', 'visibility-off', 'eye-off', 'eye-closed'] },
+        { label: 'Confirm', link: 'Done', match: ['check', 'check-circle', 'circle-check', 'done', 'check-lg', 'checkmark', 'check-badge'] },
+        { label: 'Zoom in', match: ['magnifying-glass-plus', 'search-plus', 'zoom-in', 'plus-magnifying-glass'] },
+        { label: 'Zoom out', match: ['magnifying-glass-minus', 'search-minus', 'zoom-out', 'minus-magnifying-glass'] },
+        { label: 'Language', button: 'Change language', match: ['globe', 'language', 'translate', 'globe-alt', 'earth'] },
+        { label: 'Grid view', match: ['grid', 'th', 'th-large', 'grid-3x3', 'grid-3x3-gap', 'apps', 'view-module', 'squares-2x2', 'table-cells'] },
+        { label: 'Dark mode', match: ['moon', 'dark-mode', 'moon-stars'] },
+        { label: 'Light mode', match: ['sun', 'light-mode', 'brightness-high'] },
+        { label: 'Dislike', match: ['thumbs-down', 'thumb-down', 'hand-thumbs-down', 'thumbs-o-down'] },
+        { label: 'RSS feed', match: ['rss', 'rss-feed', 'rss-square'] },
+        { label: 'Facebook', button: 'Share on Facebook', match: ['facebook', 'facebook-f', 'facebook-square'] },
+        { label: 'X (Twitter)', button: 'Share on X', match: ['twitter', 'x-twitter', 'twitter-square'] },
+        { label: 'LinkedIn', button: 'Share on LinkedIn', match: ['linkedin', 'linkedin-in'] },
+        { label: 'Instagram', match: ['instagram'] },
+        { label: 'YouTube', match: ['youtube', 'youtube-play'] },
+        { label: 'GitHub', match: ['github', 'github-alt'] },
+        { label: 'WhatsApp', button: 'Share on WhatsApp', match: ['whatsapp'] },
+        { label: 'Pinterest', button: 'Share on Pinterest', match: ['pinterest', 'pinterest-p'] },
+        { label: 'TikTok', match: ['tiktok'] }
+    ];
+
+    // Library prefixes / variant suffixes stripped before lookup ("fa-regular", "-outline", "-24-solid", "3")
+    const ICON_PREFIX = /^(fa|fas|far|fal|fad|fat|fab|fa-solid|fa-regular|fa-light|fa-thin|fa-duotone|fa-brands|bi|icon|icons|ico|ic|i|heroicon|heroicons|hero|feather|fe|mdi|material-icons|material-symbols|glyphicon|svg|sprite|symbol|lucide|btn|js)-/;
+    // replaced with '$1', which keeps the letter in front of a trailing digit ("home2" -> "home")
+    const ICON_SUFFIX = /-(?:o|outline|outlined|solid|fill|filled|alt|line|sharp|round|rounded|two-tone|twotone|mini|micro|lg|sm|xs|fw|icon|btn|button|toggle|trigger|\d+)$|([a-z])\d$/;
+    // Tokens that only say "this is an icon"
+    const ICON_NOISE = /^(fa|fas|far|fal|fad|fat|fab|fa-solid|fa-regular|fa-light|fa-thin|fa-duotone|fa-brands|fa-fw|fa-lg|fa-2x|bi|icon|icons|material-icons(-[a-z]+)?|material-symbols(-[a-z]+)?|feather|heroicon|svg-inline--fa|glyphicon|btn|button)$/;
+
+    let registeredIcons = []; // entries added at runtime by registerIcons()
+
+    function normalizeIconToken(token) {
+        let t = String(token || '').toLowerCase().replace(/_/g, '-').trim();
+        let previous = null;
+        while (t && t !== previous) {
+            previous = t;
+            t = t.replace(ICON_PREFIX, '').replace(ICON_SUFFIX, '$1');
+        }
+        return t;
+    }
+
+    function findVocabularyEntry(name) {
+        const matches = entry => entry.match.indexOf(name) !== -1;
+        const siteEntry = profile.icons[name];
+        if (siteEntry) return typeof siteEntry === 'string' ? { label: siteEntry } : siteEntry;
+        return registeredIcons.find(matches) || ICON_VOCABULARY.find(matches) || null;
+    }
+
+    // Entry for one class name / sprite id / ligature, or null. Prefixes and style
+    // suffixes are dropped ("fa-search-o" is "search"), and so is a trailing shape
+    // ("arrow-right-circle" is "arrow-right"). Failing a whole-name match, trailing
+    // words may name the icon ("header-search" is "search") but leading ones never
+    // do: "back-to-top" is not "back".
+    function lookupIconToken(token) {
+        const raw = String(token || '').toLowerCase().replace(/_/g, '-');
+        if (!raw || ICON_NOISE.test(raw)) return null;
+        const direct = findVocabularyEntry(raw);
+        if (direct) return direct;
+
+        let unprefixed = raw;
+        while (ICON_PREFIX.test(unprefixed)) unprefixed = unprefixed.replace(ICON_PREFIX, '');
+        const name = normalizeIconToken(raw);
+        const shapeless = name.replace(/-(?:circle|circled|square|squared)$/, '');
+        const candidates = [unprefixed, name, shapeless].filter((c, i, all) => c && all.indexOf(c) === i);
+        return candidates.map(findVocabularyEntry).find(Boolean) ||
+            candidates.map(findByTrailingWords).find(Boolean) || null;
+    }
+
+    function findByTrailingWords(name) {
+        const parts = name.split('-');
+        for (let start = 1; start < parts.length; start++) {
+            const rest = parts.slice(start).join('-');
+            if (rest.length < 3) break; // "space-x" is not a close icon
+            const entry = findVocabularyEntry(rest);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    // phrasing: 'label' (the icon itself), 'button' or 'link'
+    function getIconPhrase(entry, phrasing) {
+        return (phrasing && entry[phrasing]) || entry.label;
+    }
+
+    function getIconTokens(el) {
+        const tokens = [];
+        const cls = typeof el.className === 'string' ? el.className : (el.getAttribute('class') || '');
+        cls.split(/\s+/).forEach(c => c && tokens.push(c));
+        ['data-icon', 'data-feather', 'data-lucide', 'icon', 'name'].forEach(attr => {
+            const value = el.getAttribute(attr);
+            if (value && el.tagName !== 'INPUT' && el.tagName !== 'BUTTON' && el.tagName !== 'A') tokens.push(value);
+        });
+        return tokens;
+    }
+
+    // { text, step } for the first recognised icon on or inside el, or null
+    function findIconLabel(el, phrasing) {
+        const sources = [el].concat(toArray(el.querySelectorAll(ICON_SELECTOR + ', use, [data-icon], [data-feather], [data-lucide]')));
+        for (const source of sources) {
+            const tag = source.tagName.toLowerCase();
+            const inSvg = tag === 'svg' || !!(source.parentElement && source.parentElement.closest('svg'));
+
+            if (tag === 'use') {
+                const sprite = getSpriteId(source.parentElement && source.parentElement.closest('svg') || source);
+                const entry = sprite && lookupIconToken(sprite);
+                if (entry) return { text: getIconPhrase(entry, phrasing), step: 'sprite id' };
+                continue;
+            }
+
+            for (const token of getIconTokens(source)) {
+                const entry = lookupIconToken(token);
+                if (entry) return { text: getIconPhrase(entry, phrasing), step: inSvg ? 'icon svg' : 'icon class' };
+            }
+
+            if (source !== el && isFontIcon(source)) {
+                const ligature = getIconLigature(source);
+                const entry = ligature && lookupIconToken(ligature);
+                if (entry) return { text: getIconPhrase(entry, phrasing), step: 'icon ligature' };
+            }
+        }
+        return null;
+    }
+
+    function isValidIconEntry(entry) {
+        return !!entry && typeof entry.label === 'string' && !!entry.label.trim() &&
+            Array.isArray(entry.match) && entry.match.length > 0;
+    }
+
+    // entries: [{ match: ['my-cart', ...], label, button?, link? }]; later registrations win
+    function registerIcons(entries) {
+        const list = [].concat(entries || []);
+        list.forEach(entry => {
+            if (!isValidIconEntry(entry)) {
+                throw new TypeError('registerIcons: each entry needs a "label" and a non-empty "match" array');
+            }
+        });
+        registeredIcons = list.map(entry => ({
+            label: entry.label,
+            button: entry.button,
+            link: entry.link,
+            match: entry.match.map(name => String(name).toLowerCase().replace(/_/g, '-'))
+        })).concat(registeredIcons);
+        if (a11yEnabled) {
+            scanSubtree(document.body);
+        }
+    }
+
+    /* ---------------------------------------------------------
+       ADVANCED BUTTON LABELING
+    --------------------------------------------------------- */
+
+    function enhanceUnlabeledButtons(root) {
+        if (!a11yEnabled) return;
+
+        const container = root || document;
+
+        const candidates = queryAllDeep(container, getSelector('buttons'));
+
+        candidates.forEach(btn => {
+            if (!isElement(btn)) return;
+            if (!isVisible(btn)) return;
+
+            // Skip if it already has a name (text, sr-only text, title, img alt, labelledby...);
+            // [onclick] / .btn candidates have no role yet but will be named like buttons
+            if (getAccessibleName(btn, { role: 'button' })) return;
+
+            let label = null;
+
+            // 1. ICON-BASED HEURISTICS (class names, SVG sprites, ligatures; see ICON VOCABULARY)
+            const icon = findIconLabel(btn, 'button');
+            if (icon) {
+                setLabelTracked(btn, icon.text, icon.step);
+                return;
+            }
+
+            // 2. ONCLICK INTENT ANALYSIS
+            const onclick = btn.getAttribute("onclick") || "";
+            const clickIntent = {
+                Close: /close|dismiss|hide/,
+                Open: /open|show|toggle/,
                 Submit: /submit|save|send/,
                 Delete: /delete|remove|trash/,
                 Next: /next|forward/,
@@ -430,7 +2182,7 @@
                 }
             }
             if (label) {
-                setAttrTracked(btn, "aria-label", label);
+                setLabelTracked(btn, label, 'onclick intent');
                 return;
             }
 
@@ -447,12 +2199,12 @@
             else if (/settings/.test(siblingText)) label = "Settings";
 
             if (label) {
-                setAttrTracked(btn, "aria-label", label);
+                setLabelTracked(btn, label, 'sibling text');
                 return;
             }
 
             // 4. CSS BACKGROUND IMAGE HEURISTICS
-            const bg = getComputedStyle(btn).backgroundImage || "";
+            const bg = getStyle(btn).backgroundImage || "";
             if (/search|magnify/i.test(bg)) label = "Search";
             else if (/menu|bars/i.test(bg)) label = "Menu";
             else if (/close|times/i.test(bg)) label = "Close";
@@ -460,31 +2212,31 @@
             else if (/arrow-left/i.test(bg)) label = "Previous";
 
             if (label) {
-                setAttrTracked(btn, "aria-label", label);
+                setLabelTracked(btn, label, 'background image');
                 return;
             }
 
             // 5. CURSOR INTENT
-            const cursor = getComputedStyle(btn).cursor;
+            const cursor = getStyle(btn).cursor;
             if (cursor === "zoom-in") label = "Zoom in";
             else if (cursor === "zoom-out") label = "Zoom out";
             else if (cursor === "grab" || cursor === "grabbing") label = "Drag";
 
             if (label) {
-                setAttrTracked(btn, "aria-label", label);
+                setLabelTracked(btn, label, 'cursor');
                 return;
             }
 
             // 6. CHILD ARIA (e.g., role=img aria-label on inner element)
             const childAria = btn.querySelector("[aria-label]");
             if (childAria) {
-                setAttrTracked(btn, "aria-label", childAria.getAttribute("aria-label") || "Button");
+                setLabelTracked(btn, childAria.getAttribute("aria-label") || "Button", 'child aria');
                 return;
             }
 
             // 7. CONTEXTUAL FORM LABELING
             if (btn.closest("form")) {
-                setAttrTracked(btn, "aria-label", "Submit");
+                setLabelTracked(btn, "Submit", 'form context');
                 return;
             }
 
@@ -499,13 +2251,13 @@
                     label = "Download file";
 
                 if (label) {
-                    setAttrTracked(btn, "aria-label", label);
+                    setLabelTracked(btn, label, 'url intent');
                     return;
                 }
             }
 
             // 9. LAST RESORT FALLBACK
-            setAttrTracked(btn, "aria-label", "Button");
+            setLabelTracked(btn, "Button", 'fallback');
         });
     }
 
@@ -517,16 +2269,13 @@
         if (!a11yEnabled) return;
         const container = root || document;
 
-        const links = container.querySelectorAll('a[href]');
+        const links = queryAllDeep(container, 'a[href]');
         links.forEach(a => {
             if (!isElement(a)) return;
             if (!isVisible(a)) return;
 
             // Skip if already accessible name present
-            if (a.hasAttribute("aria-label") || a.hasAttribute("aria-labelledby")) return;
-
-            const text = (a.innerText || "").trim();
-            if (text.length > 0) return; // already has visible text
+            if (getAccessibleName(a)) return;
 
             // Skip if explicitly decorative
             if (a.getAttribute("aria-hidden") === "true") return;
@@ -534,35 +2283,11 @@
             let label = null;
 
             const href = a.getAttribute("href") || "";
-            const classStr = a.className || "";
-            const svg = a.querySelector("svg");
-
-            // 1. Icon / class-based patterns
-            const iconHints = {
-                "View profile": /avatar|profile|user/i,
-                "Download": /download/i,
-                "Upload": /upload/i,
-                "Open menu": /menu|hamburger|bars/i,
-                "Search": /search|magnify/i,
-                "Next page": /next|arrow-right|chevron-right/i,
-                "Previous page": /prev|previous|arrow-left|chevron-left/i,
-                "Close": /close|times|x-mark|dismiss/i,
-                "External link": /external-link|open-in-new/i
-            };
 
-            for (const [name, regex] of Object.entries(iconHints)) {
-                if (regex.test(classStr)) {
-                    label = name;
-                    break;
-                }
-                if (svg && regex.test(svg.outerHTML)) {
-                    label = name;
-                    break;
-                }
-            }
-
-            if (label) {
-                setAttrTracked(a, "aria-label", label);
+            // 1. Icon / class-based patterns (see ICON VOCABULARY)
+            const icon = findIconLabel(a, 'link');
+            if (icon) {
+                setLabelTracked(a, icon.text, icon.step);
                 return;
             }
 
@@ -582,7 +2307,7 @@
             else if (href.match(/\.(jpg|jpeg|png|gif|webp)$/i)) label = "View image";
 
             if (label) {
-                setAttrTracked(a, "aria-label", label);
+                setLabelTracked(a, label, 'url intent');
                 return;
             }
 
@@ -596,18 +2321,552 @@
             else if (/learn more|details/.test(siblingText)) label = "Learn more";
 
             if (label) {
-                setAttrTracked(a, "aria-label", label);
+                setLabelTracked(a, label, 'sibling text');
                 return;
             }
 
             // 4. Role or context clues
             if (a.getAttribute("role") === "button") {
-                setAttrTracked(a, "aria-label", "Button link");
+                setLabelTracked(a, "Button link", 'role context');
                 return;
             }
 
             // 5. Fallback generic
-            setAttrTracked(a, "aria-label", "Link");
+            setLabelTracked(a, "Link", 'fallback');
+        });
+    }
+
+    /* ---------------------------------------------------------
+       IMAGES (alt text inference)
+       Runs before buttons/links so an image that gets an alt
+       here also names the control around it.
+    --------------------------------------------------------- */
+
+    // Filename words that say nothing about the picture
+    const MEANINGLESS_IMAGE_WORDS = /^(img|image|images|photo|pic|picture|dsc|dscn|screenshot|untitled|thumb|thumbnail|small|medium|large|original|full|scaled|copy|final|default|\d+|[a-f0-9]{8,}|\d+x\d*|x\d+)$/i;
+
+    function enhanceImages(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        queryAllDeep(container, 'img, [role="img"]').forEach(img => {
+            if (!isElement(img) || isEngineUI(img)) return;
+            // lazy images may not have a size yet, so only skip what is really hidden
+            if (isHiddenFromAT(img)) return;
+
+            const native = img.tagName === 'IMG';
+            if (native && img.hasAttribute('alt')) return; // author decided, even alt=""
+            if (native && (img.hasAttribute('aria-label') || img.hasAttribute('aria-labelledby')) && getAccessibleName(img)) return;
+            if (!native && getAccessibleName(img)) return;
+
+            const source = native ? (img.currentSrc || img.getAttribute('src') || '') : getBackgroundImageUrl(img);
+            const derived = deriveImageAlt(img, source);
+
+            if (native && isDecorativeImage(img, source, derived)) {
+                setAttrTracked(img, 'alt', '', { step: 'decorative image' });
+                return;
+            }
+
+            if (derived) {
+                if (native) {
+                    setAttrTracked(img, 'alt', derived.text, { step: derived.step });
+                } else {
+                    setLabelTracked(img, derived.text, derived.step);
+                }
+                return;
+            }
+
+            reportIssue(img, 'Image has no text alternative and none could be inferred');
+        });
+
+        if (auditMode) reportBackgroundImages(container);
+    }
+
+    // CSS background images are invisible to screen readers and only named when
+    // they sit on [role="img"]. Reading every element's computed style is too slow
+    // for normal scans, so the audit is the only place the rest are listed.
+    function reportBackgroundImages(container) {
+        queryAllDeep(container, '*').forEach(el => {
+            if (el === docOf(el).body || el === docOf(el).documentElement) return;
+            if (/^(IMG|SVG|svg|PICTURE|VIDEO|CANVAS|IFRAME)$/.test(el.tagName) || el.getAttribute('role') === 'img') return;
+            if (isEngineUI(el) || !getBackgroundImageUrl(el)) return;
+            if (normalizeName(el.textContent) || getAccessibleName(el)) return;
+            if (el.closest('a[href], button, [role="button"], [role="link"]')) return; // named with the control
+            if (!isVisible(el) || isHiddenFromAT(el)) return;
+            const rect = el.getBoundingClientRect();
+            if (rect.width <= 3 || rect.height <= 3) return;
+            reportIssue(el, 'CSS background image has no text alternative; if it carries content, give it role="img" and a label');
+        });
+    }
+
+    function getBackgroundImageUrl(el) {
+        const match = /url\(["']?([^"')]+)["']?\)/.exec(getStyle(el).backgroundImage || '');
+        return match ? match[1] : '';
+    }
+
+    function isDecorativeImage(img, source, derived) {
+        // spacers and tracking pixels
+        if (/spacer|blank|pixel|transparent|1x1|clear\.gif/i.test(source)) return true;
+        const width = parseInt(img.getAttribute('width'), 10) || img.naturalWidth || img.getBoundingClientRect().width;
+        const height = parseInt(img.getAttribute('height'), 10) || img.naturalHeight || img.getBoundingClientRect().height;
+        if (width && height && width <= 3 && height <= 3) return true;
+
+        // the link/button around it already says what it is (icon + text)
+        const control = img.closest('a[href], button, [role="button"], [role="link"]');
+        if (control && control !== img && getTextWithout(control, img)) return true;
+
+        // repeats the text right next to it (avatar + user name, logo + site name);
+        // a figcaption match is the caption itself, not a duplicate
+        if (derived && derived.step !== 'figcaption') {
+            const words = normalizeName(derived.text).toLowerCase();
+            const siblings = [img.previousElementSibling, img.nextElementSibling];
+            if (siblings.some(sib => sib && normalizeName(sib.textContent).toLowerCase() === words)) return true;
+            const parentText = img.parentElement ? normalizeName(getTextWithout(img.parentElement, img)).toLowerCase() : '';
+            if (parentText && parentText === words) return true;
+        }
+        return false;
+    }
+
+    function getTextWithout(container, excluded) {
+        let text = '';
+        const walker = docOf(container).createTreeWalker(container, 4); // NodeFilter.SHOW_TEXT
+        while (walker.nextNode()) {
+            if (!composedContains(excluded, walker.currentNode)) text += walker.currentNode.textContent;
+        }
+        return normalizeName(text);
+    }
+
+    // { text, step } from the most trustworthy source available, or null
+    function deriveImageAlt(img, source) {
+        const figure = img.closest('figure');
+        const caption = figure && figure.querySelector('figcaption');
+        if (caption && normalizeName(caption.textContent)) {
+            return { text: normalizeName(caption.textContent), step: 'figcaption' };
+        }
+
+        const title = img.getAttribute('title');
+        if (title && title.trim()) return { text: normalizeName(title), step: 'image title' };
+
+        const link = img.closest('a[href]');
+        if (link) {
+            const destination = describeLinkDestination(link.getAttribute('href'));
+            if (destination) return { text: destination, step: 'link destination' };
+        }
+
+        const fromFile = cleanImageFilename(source);
+        if (fromFile) return { text: fromFile, step: 'filename' };
+        return null;
+    }
+
+    function describeLinkDestination(href) {
+        if (!href || /^(#|javascript:)/i.test(href)) return null;
+        let url;
+        try {
+            url = new URL(href, location.href);
+        } catch (e) {
+            return null;
+        }
+        if (url.hostname && url.hostname !== location.hostname) {
+            return url.hostname.replace(/^www\./, '');
+        }
+        const segments = url.pathname.split('/').filter(Boolean);
+        if (!segments.length) return 'Home';
+        return humanizeWords(decodeURIComponentSafe(segments[segments.length - 1]).replace(/\.[a-z0-9]+$/i, ''));
+    }
+
+    // "/img/red-sports-car_1200x800@2x.jpg" -> "Red sports car"
+    function cleanImageFilename(source) {
+        if (!source || /^data:/i.test(source)) return null;
+        const file = decodeURIComponentSafe(source.split(/[?#]/)[0].split('/').pop() || '');
+        return humanizeWords(file.replace(/\.[a-z0-9]+$/i, '').replace(/@\dx$/i, ''));
+    }
+
+    function humanizeWords(text) {
+        const words = text.split(/[\s_\-.+]+/).filter(word => word && !MEANINGLESS_IMAGE_WORDS.test(word));
+        if (!words.length) return null;
+        const phrase = words.join(' ').toLowerCase();
+        if (phrase.length < 3) return null;
+        return phrase.charAt(0).toUpperCase() + phrase.slice(1);
+    }
+
+    function decodeURIComponentSafe(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /* ---------------------------------------------------------
+       ICONS (font icons & inline SVG)
+       Runs after the button/link labellers: an icon beside real
+       text (or inside a control that is already named) is hidden,
+       a standalone one becomes role="img" with a name.
+    --------------------------------------------------------- */
+
+    const ICON_SELECTOR = [
+        'svg',
+        'i[class]',
+        '.material-icons', '.material-icons-outlined', '.material-icons-round', '.material-icons-sharp',
+        '.material-symbols-outlined', '.material-symbols-rounded', '.material-symbols-sharp',
+        'span[class*="icon"]', 'span.fa', 'span[class*="fa-"]', 'span[class*="bi-"]'
+    ].join(', ');
+
+    const ICON_CONTROL_SELECTOR = 'a[href], button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], label';
+
+    function isFontIcon(el) {
+        if (el.tagName.toLowerCase() === 'svg') return false;
+        if (el.children.length && !el.querySelector('svg')) return false;
+        const cls = typeof el.className === 'string' ? el.className : '';
+        return /(^|\s)(fa[srlbdt]?|fa-[\w-]+|bi|bi-[\w-]+|material-(icons|symbols)[\w-]*|[\w-]*icon[\w-]*|glyphicon[\w-]*)(\s|$)/i.test(cls);
+    }
+
+    // Material ligature text ("shopping_cart"), which screen readers read out literally
+    function getIconLigature(el) {
+        const text = (el.textContent || '').trim();
+        return /^[a-z][a-z0-9_]*$/.test(text) ? text : '';
+    }
+
+    function humanizeIconName(name) {
+        const words = name.replace(/[-_]+/g, ' ').trim().toLowerCase();
+        return words ? words.charAt(0).toUpperCase() + words.slice(1) : '';
+    }
+
+    function getSpriteId(svg) {
+        const use = svg.querySelector('use');
+        if (!use) return '';
+        const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+        const id = href.split('#')[1] || '';
+        return id.replace(/^(icon|icons|ico|ic|fa|bi|i|svg|sprite|symbol)[-_]/i, '');
+    }
+
+    // { text, step } for a meaningful icon, or null
+    function getIconName(icon) {
+        if (icon.tagName.toLowerCase() === 'svg') {
+            const title = toArray(icon.children).find(child => child.tagName.toLowerCase() === 'title');
+            if (title && normalizeName(title.textContent)) {
+                return { text: normalizeName(title.textContent), step: 'svg title' };
+            }
+            const sprite = getSpriteId(icon);
+            if (sprite && !lookupIconToken(sprite)) {
+                return { text: humanizeIconName(sprite), step: 'sprite id' };
+            }
+            return findIconLabel(icon, 'label');
+        }
+
+        const ligature = getIconLigature(icon);
+        if (ligature && !lookupIconToken(ligature)) {
+            return { text: humanizeIconName(ligature), step: 'icon ligature' };
+        }
+        return findIconLabel(icon, 'label');
+    }
+
+    function enhanceIcons(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        queryAllDeep(container, ICON_SELECTOR).forEach(icon => {
+            if (!isElement(icon) || isEngineUI(icon)) return;
+            const svg = icon.tagName.toLowerCase() === 'svg';
+            if (svg && icon.parentElement && icon.parentElement.closest('svg')) return;
+            if (!svg && !isFontIcon(icon)) return;
+            // the author already decided what this icon is
+            if (icon.hasAttribute('aria-hidden') || icon.hasAttribute('role') ||
+                icon.hasAttribute('aria-label') || icon.hasAttribute('aria-labelledby')) return;
+            if (!isVisible(icon)) return;
+
+            const control = icon.parentElement && icon.parentElement.closest(ICON_CONTROL_SELECTOR);
+            if (control) {
+                const named = getTextWithout(control, icon) ||
+                    ((control.hasAttribute('aria-label') || control.hasAttribute('aria-labelledby')) && getAccessibleName(control));
+                if (named) {
+                    setAttrTracked(icon, 'aria-hidden', 'true', { step: 'decorative icon' });
+                    return;
+                }
+                // an icon-only control named by its ligature: give it the clean name instead
+                const ligature = !svg && getIconLigature(icon);
+                if (ligature) {
+                    const entry = lookupIconToken(ligature);
+                    const phrasing = control.matches('a[href], [role="link"]') ? 'link' : 'button';
+                    setLabelTracked(control, entry ? getIconPhrase(entry, phrasing) : humanizeIconName(ligature), 'icon ligature');
+                    setAttrTracked(icon, 'aria-hidden', 'true', { step: 'decorative icon' });
+                }
+                return; // otherwise the button/link labellers own it
+            }
+
+            if (icon.parentElement && getTextWithout(icon.parentElement, icon)) {
+                setAttrTracked(icon, 'aria-hidden', 'true', { step: 'decorative icon' });
+                return;
+            }
+
+            const name = getIconName(icon);
+            if (name) {
+                // same step as the label, so a threshold never leaves an unnamed role="img" behind
+                setAttrTracked(icon, 'role', 'img', { step: name.step });
+                setLabelTracked(icon, name.text, name.step);
+                if (svg && icon.getAttribute('focusable') !== 'false') {
+                    setAttrTracked(icon, 'focusable', 'false'); // old IE/Edge tab stop
+                }
+            } else if (svg) {
+                reportIssue(icon, 'Standalone SVG has no title, sprite id or recognisable icon name');
+            }
+        });
+    }
+
+    /* ---------------------------------------------------------
+       ARIA VALIDATION (repair what is safe, report the rest)
+       Invalid / abstract roles, id references that point
+       nowhere, aria-hidden on focusable content, missing
+       required states and missing required child roles.
+    --------------------------------------------------------- */
+
+    const ARIA_ROLES = ('alert alertdialog application article banner blockquote button caption cell checkbox code ' +
+        'columnheader combobox complementary contentinfo definition deletion dialog directory document emphasis feed ' +
+        'figure form generic grid gridcell group heading img insertion link list listbox listitem log main marquee math ' +
+        'menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation ' +
+        'progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider ' +
+        'spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer ' +
+        'toolbar tooltip tree treegrid treeitem').split(' ');
+    const ID_REF_ATTRS = ['aria-labelledby', 'aria-describedby', 'aria-controls'];
+
+    // role -> state it must carry
+    const REQUIRED_STATES = {
+        checkbox: 'aria-checked',
+        switch: 'aria-checked',
+        radio: 'aria-checked',
+        menuitemcheckbox: 'aria-checked',
+        menuitemradio: 'aria-checked',
+        combobox: 'aria-expanded',
+        slider: 'aria-valuenow',
+        scrollbar: 'aria-valuenow'
+    };
+
+    // role -> roles it must own (at least one of)
+    const REQUIRED_CHILD_ROLES = {
+        list: ['listitem'],
+        listbox: ['option', 'group'],
+        menu: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'],
+        menubar: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'],
+        tablist: ['tab'],
+        tree: ['treeitem', 'group'],
+        grid: ['row', 'rowgroup'],
+        treegrid: ['row', 'rowgroup'],
+        table: ['row', 'rowgroup'],
+        rowgroup: ['row'],
+        row: ['cell', 'columnheader', 'gridcell', 'rowheader'],
+        feed: ['article']
+    };
+
+    // container role -> role given to plain text children when none are marked up
+    const CHILD_ROLE_REPAIRS = {
+        list: 'listitem',
+        listbox: 'option',
+        menu: 'menuitem',
+        menubar: 'menuitem',
+        tablist: 'tab',
+        tree: 'treeitem',
+        feed: 'article'
+    };
+
+    const IMPLICIT_CHILD_ROLES = {
+        LI: 'listitem',
+        UL: 'list',
+        OL: 'list',
+        ARTICLE: 'article',
+        OPTGROUP: 'group',
+        TABLE: 'table',
+        THEAD: 'rowgroup',
+        TBODY: 'rowgroup',
+        TFOOT: 'rowgroup'
+    };
+
+    const STATE_CLASS_HINT = /(^|[\s_-])(is-)?(checked|selected|active|on)($|[\s_-])/i;
+
+    let guessedStates = new WeakMap(); // Map<Element, string> required state kept in sync with its source
+
+    function isValidRole(role) {
+        return ARIA_ROLES.indexOf(role) !== -1 || /^(doc|graphics)-[a-z]+$/.test(role);
+    }
+
+    // First role token the browser will use, '' when none is valid (abstract roles never are)
+    function getValidRole(el) {
+        const tokens = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/);
+        return tokens.find(isValidRole) || '';
+    }
+
+    function hasResolvedIdRef(el, attr) {
+        return (el.getAttribute(attr) || '').trim().split(/\s+/).some(id => getByIdFrom(el, id));
+    }
+
+    function isTrackedAttr(el, attr) {
+        const entry = changeLog.get(el);
+        return !!(entry && Object.prototype.hasOwnProperty.call(entry.attrs, attr));
+    }
+
+    function enhanceAriaValidation(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        queryAllDeep(container, '[role]').forEach(el => {
+            if (!isEngineUI(el)) validateRole(el);
+        });
+        queryAllDeep(container, ID_REF_ATTRS.map(attr => '[' + attr + ']').join(', ')).forEach(el => {
+            if (!isEngineUI(el)) validateIdRefs(el);
+        });
+        queryAllDeep(container, '[role]').forEach(el => {
+            if (isEngineUI(el) || isHiddenFromAT(el)) return;
+            const role = getRole(el);
+            validateRequiredState(el, role);
+            validateRequiredChildren(el, role);
+        });
+        validateHiddenFocusables(container);
+    }
+
+    function validateRole(el) {
+        const value = el.getAttribute('role').trim().toLowerCase();
+        if (!value) return;
+        const valid = getValidRole(el);
+        if (valid === value.split(/\s+/)[0]) return;
+        if (valid) {
+            // drop the unknown fallbacks in front of the role browsers actually use
+            setAttrTracked(el, 'role', valid, { step: 'role fallback' });
+        } else {
+            removeAttrTracked(el, 'role');
+        }
+    }
+
+    function validateIdRefs(el) {
+        ID_REF_ATTRS.forEach(attr => {
+            if (!el.hasAttribute(attr)) return;
+            const ids = el.getAttribute(attr).trim().split(/\s+/).filter(Boolean);
+            const missing = ids.filter(id => !getByIdFrom(el, id));
+            if (!missing.length) return;
+
+            // a controlled popup is often only rendered once it opens
+            if (attr === 'aria-controls') {
+                reportIssue(el, 'aria-controls points at missing id ' + missing.join(', '));
+                return;
+            }
+            const found = ids.filter(id => missing.indexOf(id) === -1);
+            if (found.length) {
+                setAttrTracked(el, attr, found.join(' '), { step: 'broken reference' });
+            } else {
+                removeAttrTracked(el, attr);
+            }
+        });
+    }
+
+    function validateRequiredState(el, role) {
+        const attr = REQUIRED_STATES[role];
+        // native controls expose their own state
+        if (!attr || el.hasAttribute(attr) || el.matches('input, select, textarea')) return;
+        const value = guessRequiredState(el, attr);
+        if (value === null) {
+            reportIssue(el, 'role="' + role + '" is missing ' + attr);
+            return;
+        }
+        setAttrTracked(el, attr, value, { step: 'required state' });
+        if (!isTrackedAttr(el, attr)) return;
+        guessedStates.set(el, attr);
+        // a wrapped checkbox changes without touching any attribute the observer sees
+        if (el.querySelector('input[type="checkbox"], input[type="radio"]')) {
+            addEnhancerListener(el, 'change', () => syncGuessedState(el));
+        }
+    }
+
+    // Only states that can follow their source: a wrapped input, data-state / class, data-value.
+    // Whether a combobox is expanded cannot be read back reliably, so it is only reported.
+    function guessRequiredState(el, attr) {
+        if (attr === 'aria-checked') {
+            const input = el.querySelector('input[type="checkbox"], input[type="radio"]');
+            if (input) return String(input.checked);
+            const state = (el.getAttribute('data-state') || '').toLowerCase();
+            if (state) return String(state === 'checked' || state === 'on');
+            return String(STATE_CLASS_HINT.test(el.getAttribute('class') || ''));
+        }
+        if (attr === 'aria-valuenow') {
+            const value = parseFloat(el.getAttribute('data-value'));
+            return isNaN(value) ? null : String(value);
+        }
+        return null;
+    }
+
+    // Called from the mutation observer and the wrapped input's change event
+    function syncGuessedState(el) {
+        const attr = guessedStates.get(el);
+        if (!attr) return;
+        // undone or overwritten by the page: the page owns the state again
+        if (!isTrackedAttr(el, attr)) {
+            guessedStates.delete(el);
+            return;
+        }
+        const value = guessRequiredState(el, attr);
+        if (value === null || value === el.getAttribute(attr)) return;
+        const previous = currentEnhancer;
+        currentEnhancer = 'aria';
+        setAttrTracked(el, attr, value, { step: 'required state' });
+        currentEnhancer = previous;
+    }
+
+    function getChildRole(el) {
+        return getRole(el) || IMPLICIT_CHILD_ROLES[el.tagName] || '';
+    }
+
+    // Elements a container owns: its children, looking through generic wrappers, plus aria-owns
+    function getOwnedElements(el) {
+        const owned = [];
+        const visit = parent => toArray(parent.children).forEach(child => {
+            if (isHiddenFromAT(child)) return;
+            const role = getChildRole(child);
+            if (!role || role === 'generic' || role === 'none' || role === 'presentation') {
+                visit(child);
+            } else {
+                owned.push(child);
+            }
+        });
+        visit(el);
+        (el.getAttribute('aria-owns') || '').trim().split(/\s+/).forEach(id => {
+            const target = getByIdFrom(el, id);
+            if (target) owned.push(target);
+        });
+        return owned;
+    }
+
+    function validateRequiredChildren(el, role) {
+        const required = REQUIRED_CHILD_ROLES[role];
+        // empty or busy containers are usually still being filled
+        if (!required || !el.firstElementChild || el.getAttribute('aria-busy') === 'true') return;
+
+        const owned = getOwnedElements(el);
+        if (owned.some(child => required.indexOf(getChildRole(child)) !== -1)) return;
+
+        // plain text children (<div>Item</div>) can safely take the child role
+        const children = toArray(el.children).filter(child => !isHiddenFromAT(child));
+        const repair = CHILD_ROLE_REPAIRS[role];
+        if (repair && !owned.length && children.length &&
+            children.every(child => /^(DIV|SPAN|LI)$/.test(child.tagName) && !child.hasAttribute('role'))) {
+            children.forEach(child => setAttrTracked(child, 'role', repair, { step: 'required child role' }));
+            return;
+        }
+        reportIssue(el, 'role="' + role + '" contains no ' + required.join(' / ') + ' elements');
+    }
+
+    function validateHiddenFocusables(container) {
+        const doc = docOf(container);
+        // page modals hide the background on purpose while they are open
+        if (queryAllDeep(doc, '[aria-modal="true"]').some(isVisible)) return;
+
+        queryAllDeep(container, '[aria-hidden="true"]').forEach(el => {
+            // the engine's own aria-hidden (icons, dialog backgrounds) is deliberate
+            if (isEngineUI(el) || isTrackedAttr(el, 'aria-hidden')) return;
+            const focusables = getFocusable(el).filter(f => f.tabIndex >= 0);
+            if (el.tabIndex >= 0 && !el.disabled && isVisible(el)) {
+                // a visible control in the tab order has to be exposed
+                removeAttrTracked(el, 'aria-hidden');
+            } else if (focusables.length) {
+                reportIssue(el, 'aria-hidden="true" hides ' + focusables.length +
+                    (focusables.length === 1 ? ' focusable element that stays' : ' focusable elements that stay') + ' in the tab order');
+            }
         });
     }
 
@@ -620,28 +2879,28 @@
         const container = root || document;
 
         // required fields detection via *
-        const labels = container.querySelectorAll('label');
+        const labels = queryAllDeep(container, 'label');
         labels.forEach(label => {
             if (!label.textContent) return;
             if (!label.textContent.includes('*')) return;
             const forId = label.getAttribute('for');
             let input = null;
-            if (forId) input = document.getElementById(forId);
+            if (forId) input = getByIdFrom(label, forId);
             else input = label.querySelector('input, select, textarea');
             if (input && !input.hasAttribute('aria-required')) {
                 setAttrTracked(input, 'aria-required', 'true');
             }
         });
 
-        const inputs = container.querySelectorAll('input, textarea, select');
+        const inputs = queryAllDeep(container, 'input, textarea, select');
         inputs.forEach(input => {
             if (!isVisible(input)) return;
-            if (elementHasOwnAccessibility(input)) return;
-            if (inputHasAssociatedLabel(input)) return;
+            // a placeholder-only name is what this step promotes to aria-label
+            if (getAccessibleName(input, { placeholder: false })) return;
 
             const placeholder = input.getAttribute('placeholder');
             if (placeholder && placeholder.trim().length > 0 && !input.hasAttribute('aria-label')) {
-                setAttrTracked(input, 'aria-label', placeholder.trim());
+                setLabelTracked(input, placeholder.trim(), 'placeholder');
             }
         });
 
@@ -653,11 +2912,9 @@
 
             const error = parent.querySelector('.error, .error-text, .field-error, .help-block, .invalid-feedback');
             if (error && error.textContent.trim().length > 0) {
-                if (!error.id) {
-                    setAttrTracked(error, 'id', uniqueId('a11y-error'));
-                }
-                if (!input.hasAttribute('aria-describedby')) {
-                    setAttrTracked(input, 'aria-describedby', error.id);
+                const errorId = ensureId(error, 'a11y-error');
+                if (errorId && !input.hasAttribute('aria-describedby')) {
+                    setAttrTracked(input, 'aria-describedby', errorId);
                 }
                 if (error.textContent.match(/required|invalid|error|must|missing/i) && !input.hasAttribute('aria-invalid')) {
                     setAttrTracked(input, 'aria-invalid', 'true');
@@ -674,14 +2931,14 @@
         if (!a11yEnabled) return;
         const container = root || document;
 
-        container.querySelectorAll('div, span').forEach(el => {
+        queryAllDeep(container, 'div, span').forEach(el => {
             if (!isVisible(el)) return;
             if (elementHasOwnAccessibility(el)) return;
             if (el.tagName === 'BUTTON' || el.tagName === 'A') return;
 
             const clickable = typeof el.onclick === 'function' ||
                 el.getAttribute('onclick') ||
-                el.matches('.clickable, [class*="btn"], [class*="button"]');
+                el.matches(getSelector('clickable'));
 
             if (clickable) {
                 setAttrTracked(el, 'role', 'button');
@@ -700,51 +2957,34 @@
         if (!a11yEnabled) return;
         const container = root || document;
 
-        const selector = [
-            '[data-toggle]',
-            '[data-accordion]',
-            '.dropdown-toggle',
-            '.accordion-title',
-            '.accordion-header',
-            '.faq-question',
-            '.collapsible',
-            '.collapse-toggle',
-            '.menu-toggle',
-            '.nav-toggle'
-        ].join(',');
-
-        container.querySelectorAll(selector).forEach(toggle => {
-            if (toggle.getAttribute(A11Y_FLAG + '-dropdown') === '1') return;
-            setAttrTracked(toggle, A11Y_FLAG + '-dropdown', '1');
+        queryAllDeep(container, getSelector('dropdown')).forEach(toggle => {
+            if (!claimElement(toggle, 'dropdown')) return;
 
             let panel = null;
 
             const controlsId = toggle.getAttribute('aria-controls');
             if (controlsId) {
-                panel = document.getElementById(controlsId);
+                panel = getByIdFrom(toggle, controlsId);
             }
             if (!panel && toggle.nextElementSibling) {
                 panel = toggle.nextElementSibling;
             }
             if (!panel) return;
 
-            if (!panel.id) {
-                setAttrTracked(panel, 'id', uniqueId('a11y-panel'));
-            }
+            const panelId = ensureId(panel, 'a11y-panel');
 
             if (!elementHasOwnAccessibility(toggle)) {
                 setAttrTracked(toggle, 'role', 'button');
                 if (!toggle.hasAttribute('tabindex')) {
                     setAttrTracked(toggle, 'tabindex', '0');
                 }
-                setAttrTracked(toggle, 'aria-controls', panel.id);
+                if (panelId) {
+                    setAttrTracked(toggle, 'aria-controls', panelId);
+                }
             }
 
             const originallyVisible = isVisible(panel);
-            const panelEntry = ensureEntry(panel);
-            if (!Object.prototype.hasOwnProperty.call(panelEntry.styles, 'display')) {
-                panelEntry.styles.display = panel.style.display || '';
-            }
+            const originalDisplay = getOriginalStyle(panel, 'display');
 
             if (!toggle.hasAttribute('aria-expanded')) {
                 setAttrTracked(toggle, 'aria-expanded', originallyVisible ? 'true' : 'false');
@@ -761,7 +3001,7 @@
                 const open = !expanded;
                 setAttrTracked(toggle, 'aria-expanded', String(open));
                 if (open) {
-                    setStyleTracked(panel, 'display', panelEntry.styles.display || '');
+                    setStyleTracked(panel, 'display', originalDisplay);
                     removeAttrTracked(panel, 'hidden');
                 } else {
                     setStyleTracked(panel, 'display', 'none');
@@ -769,8 +3009,8 @@
                 }
             }
 
-            toggle.addEventListener('click', togglePanel);
-            toggle.addEventListener('keydown', e => {
+            addEnhancerListener(toggle, 'click', togglePanel);
+            addEnhancerListener(toggle, 'keydown', e => {
                 if (!a11yEnabled) return;
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
@@ -788,11 +3028,10 @@
         if (!a11yEnabled) return;
         const container = root || document;
 
-        const notif = container.querySelectorAll('.toast, .notification, .alert, .snackbar');
+        const notif = queryAllDeep(container, getSelector('liveRegion'));
         notif.forEach(n => {
             if (!isVisible(n)) return;
-            if (n.getAttribute(A11Y_FLAG + '-live') === '1') return;
-            setAttrTracked(n, A11Y_FLAG + '-live', '1');
+            if (!claimElement(n, 'live')) return;
 
             if (!elementHasOwnAccessibility(n)) {
                 setAttrTracked(n, 'role', 'status');
@@ -805,10 +3044,9 @@
         if (!a11yEnabled) return;
         const container = root || document;
 
-        const sliderCand = container.querySelectorAll('.slider, .range, [data-slider]');
+        const sliderCand = queryAllDeep(container, getSelector('slider'));
         sliderCand.forEach(slider => {
-            if (slider.getAttribute(A11Y_FLAG + '-slider') === '1') return;
-            setAttrTracked(slider, A11Y_FLAG + '-slider', '1');
+            if (!claimElement(slider, 'slider')) return;
 
             setAttrTracked(slider, 'role', 'slider');
             if (!slider.hasAttribute('tabindex')) {
@@ -829,7 +3067,7 @@
                 setAttrTracked(slider, 'aria-valuenow', String(value));
             }
 
-            slider.addEventListener('keydown', e => {
+            addEnhancerListener(slider, 'keydown', e => {
                 if (!a11yEnabled) return;
                 if (e.key === 'ArrowRight' || e.key === 'ArrowUp') {
                     e.preventDefault();
@@ -854,35 +3092,34 @@
        REGIONS / TABS / DIALOGS / STICKY HEADERS (GLOBAL)
     --------------------------------------------------------- */
 
-    function enhanceRegionsGlobal() {
-        if (!a11yEnabled || !document.body) return;
-        const bodyChildren = toArray(document.body.children);
+    function enhanceRegionsGlobal(root) {
+        const doc = docOf(root);
+        if (!a11yEnabled || !doc.body) return;
+        // the skip-link menu is a <nav> at the top of <body>; it is never one of the page's regions
+        const bodyChildren = toArray(doc.body.children).filter(el => !isEngineUI(el));
+        const landmarks = getLandmarkElements(doc);
 
         // header / banner
-        let header = document.querySelector('header');
+        let header = toArray(doc.querySelectorAll('header')).find(el => !el.parentElement.closest(SECTIONING_SELECTOR));
         if (!header) {
             header = bodyChildren.find(el =>
                 el.className && el.className.match(/header|top-bar|topbar|site-header/i)
             );
         }
-        if (header && !header.hasAttribute('role')) {
-            setAttrTracked(header, 'role', 'banner');
-        }
+        addLandmarkRole(header, 'banner', landmarks);
 
         // navigation
-        let nav = document.querySelector('nav');
+        let nav = toArray(doc.querySelectorAll('nav')).find(el => !isEngineUI(el));
         if (!nav) {
             nav = bodyChildren.find(el => {
                 const links = el.querySelectorAll ? el.querySelectorAll('a') : [];
                 return links.length > 5 && (el.className || '').match(/nav|menu|main-menu|top-nav/i);
             });
         }
-        if (nav && !nav.hasAttribute('role')) {
-            setAttrTracked(nav, 'role', 'navigation');
-        }
+        addLandmarkRole(nav, 'navigation', landmarks);
 
         // main
-        let main = document.querySelector('main');
+        let main = doc.querySelector('main');
         if (!main) {
             main = bodyChildren.reduce((largest, el) => {
                 if (!el.innerText) return largest;
@@ -892,38 +3129,274 @@
                 return len > currentLen ? el : largest;
             }, null);
         }
-        if (main && !main.hasAttribute('role')) {
-            setAttrTracked(main, 'role', 'main');
-        }
+        addLandmarkRole(main, 'main', landmarks);
 
         // footer / contentinfo
-        let footer = document.querySelector('footer');
+        let footer = toArray(doc.querySelectorAll('footer')).find(el => !el.parentElement.closest(SECTIONING_SELECTOR));
         if (!footer) {
             footer = bodyChildren.find(el =>
                 el.innerText && el.innerText.match(/©|copyright|privacy|terms/i)
             );
         }
-        if (footer && !footer.hasAttribute('role')) {
-            setAttrTracked(footer, 'role', 'contentinfo');
+        addLandmarkRole(footer, 'contentinfo', landmarks);
+
+        // search forms
+        queryAllDeep(doc, 'form').filter(isSearchForm).forEach(form => {
+            addLandmarkRole(form, 'search', landmarks, { step: 'search form' });
+        });
+
+        // complementary (sidebars); outer ones first, so nested ones are skipped
+        queryAllDeep(doc, getSelector('sidebar')).forEach(side => {
+            addLandmarkRole(side, 'complementary', landmarks);
+        });
+
+        validateLandmarks(doc);
+    }
+
+    /* Landmark validation: roles the engine adds never nest inside a landmark
+       of the same kind and never repeat a page-level landmark; repeated
+       navigation / complementary regions are named from their headings. */
+
+    const PAGE_LANDMARKS = ['banner', 'main', 'contentinfo'];
+    const SECTIONING_SELECTOR = 'article, aside, main, nav, section';
+    const SEARCH_FORM_HINT = /search|query|find/i;
+
+    // [{ element, role }] for every explicit or implied landmark, hidden ones included
+    function getLandmarkElements(doc) {
+        return queryAllDeep(doc || document, LANDMARK_SELECTOR)
+            .filter(el => !isEngineUI(el))
+            .map(el => ({ element: el, role: getLandmarkRole(el) }))
+            .filter(l => l.role);
+    }
+
+    function addLandmarkRole(el, role, landmarks, provenance) {
+        // a <nav> / <aside> already is the landmark; a role on it would only count as one we added
+        if (!el || el.hasAttribute('role') || getImplicitLandmarkRole(el) === role) return;
+        if (isRedundantLandmark(el, role, landmarks)) return;
+        setAttrTracked(el, 'role', role, provenance);
+        if (el.getAttribute('role') === role) {
+            landmarks.push({ element: el, role: role });
+        }
+    }
+
+    function isRedundantLandmark(el, role, landmarks) {
+        const pageLevel = PAGE_LANDMARKS.indexOf(role) !== -1;
+        // banner / main / contentinfo belong to the page, not to a section of it
+        if (pageLevel && el.parentElement && el.parentElement.closest(SECTIONING_SELECTOR)) return true;
+        for (let ancestor = el.parentElement; ancestor; ancestor = ancestor.parentElement) {
+            const ancestorRole = getLandmarkRole(ancestor);
+            if (ancestorRole && (ancestorRole === role || pageLevel)) return true;
         }
+        return pageLevel && landmarks.some(l => l.element !== el && l.role === role && l.element.isConnected);
+    }
+
+    function isSearchForm(form) {
+        if (isEngineUI(form) || form.hasAttribute('role')) return false;
+        const fields = form.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="image"]), select, textarea');
+        if (!fields.length || fields.length > 3) return false;
+        if (form.querySelector(SEARCH_FIELD_SELECTOR)) return true;
+        const hints = [form.getAttribute('action'), form.id, form.getAttribute('class'), form.getAttribute('aria-label')].join(' ');
+        return fields.length === 1 && SEARCH_FORM_HINT.test(hints);
+    }
 
-        // complementary (sidebars)
-        document.querySelectorAll('[class*="sidebar"], [class*="side-bar"]').forEach(side => {
-            if (!side.hasAttribute('role')) {
-                setAttrTracked(side, 'role', 'complementary');
+    // Role added by the running enhancer (not one the page had)
+    function isAddedLandmarkRole(el) {
+        const entry = changeLog.get(el);
+        return !!(entry && Object.prototype.hasOwnProperty.call(entry.attrs, 'role') &&
+            entry.meta.attrs.role && entry.meta.attrs.role.enhancer === currentEnhancer);
+    }
+
+    function validateLandmarks(doc) {
+        let landmarks = getLandmarkElements(doc);
+
+        // e.g. an outer sidebar or a real <main> showed up after we added ours
+        if (!auditMode) {
+            const redundant = landmarks.filter(l => isAddedLandmarkRole(l.element) &&
+                (getImplicitLandmarkRole(l.element) === l.role || isRedundantLandmark(l.element, l.role, landmarks)));
+            if (redundant.length) {
+                redundant.forEach(l => revertTrackedAttr(l.element, 'role'));
+                landmarks = getLandmarkElements(doc);
             }
+        }
+
+        ['navigation', 'complementary'].forEach(role => {
+            const group = landmarks.filter(l => l.role === role && !isHiddenFromAT(l.element));
+            if (group.length < 2) return;
+            group.forEach(l => nameLandmarkFromHeading(l.element, role, landmarks));
         });
     }
 
-    function enhanceTabsGlobal(root) {
+    // landmarks: the page's list from getLandmarkElements
+    function nameLandmarkFromHeading(el, role, landmarks) {
+        if (getAccessibleName(el)) return;
+        // its own heading, not one from a landmark nested inside it
+        const nested = landmarks.map(l => l.element).filter(inner => inner !== el && el.contains(inner));
+        const heading = toArray(el.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')).find(h =>
+            normalizeName(h.textContent) && !isHiddenFromAT(h) && !nested.some(inner => inner.contains(h)));
+        if (!heading) {
+            reportIssue(el, 'One of several ' + role + ' landmarks, with no heading to name it from');
+            return;
+        }
+        const id = ensureId(heading, 'a11y-landmark-title');
+        if (id) {
+            setAttrTracked(el, 'aria-labelledby', id, { step: 'landmark heading' });
+        }
+    }
+
+    /* Headings: visually styled pseudo-headings get role="heading" with an
+       inferred aria-level once, when their subtree is enhanced; the audit
+       checks the resulting outline for skipped levels and missing / duplicate h1s. */
+
+    const PSEUDO_HEADING_CANDIDATES = 'p, div, span, strong, b, dt';
+    const PSEUDO_HEADING_EXCLUDED = 'h1, h2, h3, h4, h5, h6, [role="heading"], a, button, label, th, caption, legend, summary, figcaption, option, ' +
+        '[role="button"], [role="link"], [role="tab"], [role="menuitem"], [contenteditable], ' + '[' + A11Y_UI_ATTR + ']';
+
+    let pseudoHeadingCache = new WeakMap(); // Map<Element, number> base level, 0 = not a heading
+
+    function getHeadingLevel(el) {
+        const aria = parseInt(el.getAttribute('aria-level'), 10);
+        if (aria > 0) return aria;
+        const match = /^H([1-6])$/.exec(el.tagName);
+        return match ? parseInt(match[1], 10) : 2; // role="heading" without aria-level defaults to 2
+    }
+
+    // Base level for a visually styled heading, 0 when the element is not one
+    function getPseudoHeadingLevel(el, bodySize) {
+        if (pseudoHeadingCache.has(el)) return pseudoHeadingCache.get(el);
+        const level = detectPseudoHeading(el, bodySize);
+        pseudoHeadingCache.set(el, level);
+        return level;
+    }
+
+    function detectPseudoHeading(el, bodySize) {
+        if (el.hasAttribute('role') || el.childElementCount > 3) return 0;
+        if (el.closest(PSEUDO_HEADING_EXCLUDED)) return 0;
+        if (el.querySelector('div, p, ul, ol, table, section, article, br, input, select, textarea, button, h1, h2, h3, h4, h5, h6')) return 0;
+
+        const text = normalizeName(el.textContent);
+        if (text.length < 2 || text.length > 120 || text.split(' ').length > 15) return 0;
+        if (/[.,;]$/.test(text)) return 0; // reads like a sentence
+        // the outermost element carrying the text is the candidate
+        if (el.parentElement && normalizeName(el.parentElement.textContent) === text) return 0;
+        // ...and it has to start something
+        if (!el.nextElementSibling) return 0;
+        if (!isVisible(el)) return 0;
+
+        const style = getStyle(el);
+        if (/^inline/.test(style.display)) return 0;
+        let size = parseFloat(style.fontSize) || bodySize;
+        let weight = parseInt(style.fontWeight, 10) || (style.fontWeight === 'bold' ? 700 : 400);
+        // <p><strong>Section</strong></p>: the styling lives on the only child
+        const only = el.children.length === 1 && normalizeName(el.children[0].textContent) === text ? el.children[0] : null;
+        if (only) {
+            const inner = getStyle(only);
+            size = Math.max(size, parseFloat(inner.fontSize) || 0);
+            weight = Math.max(weight, parseInt(inner.fontWeight, 10) || (inner.fontWeight === 'bold' || /^(STRONG|B)$/.test(only.tagName) ? 700 : 400));
+        }
+
+        const ratio = size / bodySize;
+        const hinted = el.matches(getSelector('pseudoHeading'));
+        const bold = weight >= 600;
+        if (!(ratio >= 1.25 || (bold && ratio >= 1) || (hinted && ratio >= 1))) return 0;
+
+        if (ratio >= 1.75) return 2;
+        if (ratio >= 1.4) return 3;
+        if (ratio >= 1.15) return 4;
+        return bold || hinted ? 4 : 0;
+    }
+
+    // [{ element, level, text, inferred }] in document order: real headings plus detected pseudo-headings
+    function buildHeadingOutline(doc) {
+        if (!doc.body) return [];
+        const bodySize = parseFloat(getStyle(doc.body).fontSize) || 16;
+
+        // pseudo-headings the engine already promoted are listed here, with the level it gave them
+        const real = queryAllDeep(doc, 'h1, h2, h3, h4, h5, h6, [role="heading"]')
+            .filter(el => !isEngineUI(el) && !isHiddenFromAT(el) && normalizeName(el.textContent))
+            .map(el => ({ element: el, level: getHeadingLevel(el), inferred: isTrackedAttr(el, 'role') }));
+
+        const pseudo = queryAllDeep(doc, PSEUDO_HEADING_CANDIDATES + ', ' + getSelector('pseudoHeading'))
+            .filter(el => !el.hasAttribute('role') && !isDismissed(el, 'headings'))
+            .map(el => ({ element: el, level: getPseudoHeadingLevel(el, bodySize), inferred: true, detected: true }))
+            .filter(entry => entry.level > 0);
+
+        const outline = real.concat(pseudo);
+        outline.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+
+        // inferred levels never jump more than one below the heading before them
+        let previous = 0;
+        outline.forEach(entry => {
+            if (entry.detected) {
+                entry.level = Math.max(1, Math.min(entry.level, previous + 1));
+                delete entry.detected;
+            }
+            entry.text = normalizeName(entry.element.textContent);
+            previous = entry.level;
+        });
+        return outline;
+    }
+
+    function getHeadingOutline() {
+        return buildHeadingOutline(document).map(entry => Object.assign({}, entry));
+    }
+
+    // Level of the last heading before el, 0 when there is none
+    function getPrecedingHeadingLevel(el) {
+        let level = 0;
+        queryAllDeep(docOf(el), 'h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(heading => {
+            if (heading !== el && !isEngineUI(heading) &&
+                (heading.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                level = getHeadingLevel(heading);
+            }
+        });
+        return level;
+    }
+
+    // Local: only the added subtree is searched, and a promoted element is never looked at again
+    function enhanceHeadings(root) {
         if (!a11yEnabled) return;
         const container = root || document;
+        const doc = docOf(container);
+        if (!doc.body) return;
+        const bodySize = parseFloat(getStyle(doc.body).fontSize) || 16;
+
+        queryAllDeep(container, PSEUDO_HEADING_CANDIDATES + ', ' + getSelector('pseudoHeading')).forEach(el => {
+            if (el.hasAttribute('role')) return;
+            const base = getPseudoHeadingLevel(el, bodySize);
+            if (!base) return;
+            const level = Math.max(1, Math.min(base, getPrecedingHeadingLevel(el) + 1));
+            setAttrTracked(el, 'role', 'heading', { step: 'heading style' });
+            setAttrTracked(el, 'aria-level', String(level), { step: 'heading style' });
+        });
+
+        // the outline checks only feed the audit, which scans the whole body
+        if (auditMode && container === doc.body) {
+            reportOutlineProblems(doc);
+        }
+    }
 
-        const tabListSelector = '[role="tablist"], .tabs, .tab-list, .nav-tabs, .tab-container';
+    // Structure problems the engine does not rewrite
+    function reportOutlineProblems(doc) {
+        const outline = buildHeadingOutline(doc);
+        const h1s = outline.filter(entry => entry.level === 1);
+        if (!h1s.length) {
+            reportIssue(doc.body, 'Page has no level 1 heading');
+        }
+        h1s.slice(1).forEach(entry => reportIssue(entry.element, 'More than one level 1 heading on the page'));
+        outline.forEach((entry, i) => {
+            const previous = i ? outline[i - 1].level : 0;
+            if (previous && entry.level > previous + 1) {
+                reportIssue(entry.element, 'Heading level skips from ' + previous + ' to ' + entry.level);
+            }
+        });
+    }
+
+    function enhanceTabsGlobal(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
 
-        container.querySelectorAll(tabListSelector).forEach(tablist => {
-            if (tablist.getAttribute(A11Y_FLAG + '-tablist') === '1') return;
-            setAttrTracked(tablist, A11Y_FLAG + '-tablist', '1');
+        queryAllDeep(container, getSelector('tablist')).forEach(tablist => {
+            if (!claimElement(tablist, 'tablist')) return;
 
             if (!tablist.hasAttribute('role')) {
                 setAttrTracked(tablist, 'role', 'tablist');
@@ -938,21 +3411,16 @@
                 if (!tab.hasAttribute('tabindex')) {
                     setAttrTracked(tab, 'tabindex', i === 0 ? '0' : '-1');
                 }
-                if (!tab.id) {
-                    setAttrTracked(tab, 'id', uniqueId('a11y-tab'));
-                }
+                const tabId = ensureId(tab, 'a11y-tab');
 
-                if (tab.tagName === 'A' && tab.getAttribute('href') && tab.getAttribute('href').charAt(0) === '#') {
-                    const target = document.querySelector(tab.getAttribute('href'));
+                if (tabId && tab.tagName === 'A' && tab.getAttribute('href') && tab.getAttribute('href').charAt(0) === '#') {
+                    const target = getByIdFrom(tab, tab.getAttribute('href').slice(1));
                     if (target) {
                         if (!target.hasAttribute('role')) {
                             setAttrTracked(target, 'role', 'tabpanel');
                         }
                         if (!target.hasAttribute('aria-labelledby')) {
-                            setAttrTracked(target, 'aria-labelledby', tab.id);
-                        }
-                        if (!target.id) {
-                            setAttrTracked(target, 'id', uniqueId('a11y-tabpanel'));
+                            setAttrTracked(target, 'aria-labelledby', tabId);
                         }
                         if (!tab.hasAttribute('aria-controls')) {
                             setAttrTracked(tab, 'aria-controls', target.id);
@@ -965,7 +3433,7 @@
             tabs.forEach((tab, i) => {
                 let panel = null;
                 const cid = tab.getAttribute('aria-controls');
-                if (cid) panel = document.getElementById(cid);
+                if (cid) panel = getByIdFrom(tab, cid);
                 if (!panel) {
                     const containerEl = tab.closest('[class*="tabs"], [class*="tab-container"]');
                     if (containerEl) {
@@ -977,14 +3445,13 @@
                     if (!panel.hasAttribute('role')) {
                         setAttrTracked(panel, 'role', 'tabpanel');
                     }
-                    if (!panel.hasAttribute('aria-labelledby')) {
-                        setAttrTracked(panel, 'aria-labelledby', tab.id);
+                    const tabId = ensureId(tab, 'a11y-tab');
+                    if (tabId && !panel.hasAttribute('aria-labelledby')) {
+                        setAttrTracked(panel, 'aria-labelledby', tabId);
                     }
-                    if (!panel.id) {
-                        setAttrTracked(panel, 'id', uniqueId('a11y-tabpanel'));
-                    }
-                    if (!tab.hasAttribute('aria-controls')) {
-                        setAttrTracked(tab, 'aria-controls', panel.id);
+                    const panelId = ensureId(panel, 'a11y-tabpanel');
+                    if (panelId && !tab.hasAttribute('aria-controls')) {
+                        setAttrTracked(tab, 'aria-controls', panelId);
                     }
                     panels.push(panel);
                 } else {
@@ -1000,7 +3467,7 @@
                     setAttrTracked(t, 'tabindex', selected ? '0' : '-1');
 
                     const cid = t.getAttribute('aria-controls');
-                    const panel = cid ? document.getElementById(cid) : panels[idx];
+                    const panel = cid ? getByIdFrom(t, cid) : panels[idx];
                     if (panel) {
                         if (selected) {
                             removeAttrTracked(panel, 'hidden');
@@ -1012,210 +3479,1606 @@
                 tab.focus();
             }
 
-            tabs.forEach(tab => {
-                tab.addEventListener('click', e => {
-                    if (!a11yEnabled) return;
-                    e.preventDefault();
-                    activateTab(tab);
-                });
+            tabs.forEach(tab => {
+                addEnhancerListener(tab, 'click', e => {
+                    if (!a11yEnabled) return;
+                    e.preventDefault();
+                    activateTab(tab);
+                });
+
+                addEnhancerListener(tab, 'keydown', e => {
+                    if (!a11yEnabled) return;
+                    const idx = tabs.indexOf(tab);
+
+                    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+                        e.preventDefault();
+                        activateTab(tabs[(idx + 1) % tabs.length]);
+                    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        activateTab(tabs[(idx - 1 + tabs.length) % tabs.length]);
+                    } else if (e.key === 'Home') {
+                        e.preventDefault();
+                        activateTab(tabs[0]);
+                    } else if (e.key === 'End') {
+                        e.preventDefault();
+                        activateTab(tabs[tabs.length - 1]);
+                    }
+                });
+            });
+        });
+    }
+
+    function normalizeTabIndexGlobal(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        const tabbables = queryAllDeep(container, '[tabindex]');
+        tabbables.forEach(el => {
+            const val = parseInt(el.getAttribute('tabindex'), 10);
+            if (!isNaN(val) && val > 0) {
+                setAttrTracked(el, 'tabindex', '0');
+            }
+        });
+    }
+
+    function enhanceDialogsGlobal(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        queryAllDeep(container, getSelector('modal')).forEach(dialog => {
+            if (isNativeDialog(dialog)) return; // see enhanceNativeDialogsGlobal
+            if (!isVisible(dialog)) return;
+            if (isDismissed(dialog, currentEnhancer)) return;
+            if (claimElement(dialog, 'dialog')) {
+                setupDialog(dialog);
+            }
+            // a visible .popup is often just an inline panel; only real modals hide the page
+            if (!isOpenDialog(dialog) && isModalDialog(dialog)) {
+                if (!dialog.hasAttribute('aria-modal')) {
+                    setAttrTracked(dialog, 'aria-modal', 'true');
+                }
+                openDialog(dialog);
+            }
+        });
+    }
+
+    // Evidence that a dialog blocks the page: aria-modal, a backdrop behind a fixed
+    // overlay, or the page showing it while the observer watched
+    function isModalDialog(dialog) {
+        if (dialog.getAttribute('aria-modal') === 'true') return true;
+        if (hasOverlayBackdrop(dialog)) return true;
+        // follow single-child wrappers only, so a whole re-rendered app does not count
+        let node = dialog;
+        while (node) {
+            if (revealedNodes.has(node)) return true;
+            const parent = node.parentElement;
+            if (!parent || parent.childElementCount !== 1) return false;
+            node = parent;
+        }
+        return false;
+    }
+
+    function coversViewport(el) {
+        const view = docOf(el).defaultView || window;
+        const rect = el.getBoundingClientRect();
+        return rect.width >= view.innerWidth * 0.9 && rect.height >= view.innerHeight * 0.9;
+    }
+
+    // The dialog or a wrapper is fixed and either covers the viewport itself or has a sibling that does
+    function hasOverlayBackdrop(dialog) {
+        const body = docOf(dialog).body;
+        let overlay = dialog;
+        while (overlay && overlay !== body && getStyle(overlay).position !== 'fixed') {
+            overlay = overlay.parentElement;
+        }
+        if (!overlay || overlay === body) return false;
+        if (overlay !== dialog && coversViewport(overlay)) return true;
+        return toArray(overlay.parentNode.children).some(sibling => sibling !== overlay && !isEngineUI(sibling) &&
+            isVisible(sibling) && getStyle(sibling).position === 'fixed' && coversViewport(sibling));
+    }
+
+    function setupDialog(dialog) {
+        if (!dialog.hasAttribute('role')) {
+            setAttrTracked(dialog, 'role', 'dialog');
+        }
+        labelDialogFromHeading(dialog);
+
+        addEnhancerListener(dialog, 'keydown', e => {
+            if (!a11yEnabled) return;
+            if (e.key !== 'Tab' || !isOpenDialog(dialog)) return;
+            trapTabKey(dialog, e);
+        });
+    }
+
+    function labelDialogFromHeading(dialog) {
+        const heading = dialog.querySelector('h1, h2, h3, .title, .dialog-title, .modal-title');
+        if (!heading || getAccessibleName(dialog)) return;
+        const id = ensureId(heading, 'a11y-dialog-title');
+        if (id) {
+            setAttrTracked(dialog, 'aria-labelledby', id);
+        }
+    }
+
+    function getDialogName(dialog) {
+        return getAccessibleName(dialog) || 'Dialog';
+    }
+
+    /* Native <dialog> and [popover]: the browser handles showing, top layer and
+       (for showModal) inertness and initial focus; we add labels, the shared
+       open stack for focus return, and announcements. */
+
+    function isNativeDialog(el) {
+        return el.tagName === 'DIALOG' || el.hasAttribute('popover');
+    }
+
+    function matchesSafe(el, selector) {
+        try {
+            return el.matches(selector);
+        } catch (e) {
+            return false; // pseudo-class not supported by this browser
+        }
+    }
+
+    function isNativeOpen(el) {
+        if (el.tagName === 'DIALOG') return el.hasAttribute('open');
+        return matchesSafe(el, ':popover-open');
+    }
+
+    function isDialogShown(dialog) {
+        return isNativeDialog(dialog) ? isNativeOpen(dialog) : isVisible(dialog);
+    }
+
+    // Manual popovers only close when the page says so, never on Escape
+    function isManualPopover(el) {
+        return (el.getAttribute('popover') || '').trim().toLowerCase() === 'manual';
+    }
+
+    // A close request like the browser's own: the page can still veto it from its cancel handler
+    function closeNativeDialog(el) {
+        if (!isNativeOpen(el)) return;
+        if (el.tagName === 'DIALOG') {
+            if (typeof el.requestClose === 'function') {
+                el.requestClose();
+                return;
+            }
+            if (!el.dispatchEvent(new Event('cancel', { cancelable: true }))) return;
+            if (typeof el.close === 'function') {
+                el.close();
+            } else {
+                el.removeAttribute('open');
+            }
+        } else if (!isManualPopover(el) && typeof el.hidePopover === 'function') {
+            el.hidePopover();
+        }
+    }
+
+    function enhanceNativeDialogsGlobal(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        queryAllDeep(container, 'dialog, [popover]').forEach(el => {
+            if (isEngineUI(el) || isDismissed(el, currentEnhancer)) return;
+            if (claimElement(el, 'native-dialog')) {
+                setupNativeDialog(el);
+            }
+            if (isNativeOpen(el) && !isOpenDialog(el)) {
+                openDialog(el);
+            }
+        });
+    }
+
+    function setupNativeDialog(el) {
+        if (el.tagName === 'DIALOG') {
+            labelDialogFromHeading(el);
+        }
+
+        // toggle covers popovers (and dialogs in newer browsers); close covers older dialogs
+        const sync = () => {
+            if (!a11yEnabled) return;
+            if (isNativeOpen(el)) {
+                if (!isOpenDialog(el)) openDialog(el);
+            } else {
+                checkOpenDialogs();
+            }
+        };
+        addEnhancerListener(el, 'toggle', sync);
+        if (el.tagName === 'DIALOG') {
+            addEnhancerListener(el, 'close', sync);
+        }
+    }
+
+    /* Open modal stack: each entry remembers where focus came from and which
+       background elements it hid, so closing one restores exactly that. */
+
+    let openDialogs = []; // [{ dialog, enhancer, returnFocus, hidden: [], reexposed: [] }], topmost last
+    let focusHistory = []; // recently focused elements, most recent last
+
+    function rememberFocus(e) {
+        const target = e.composedPath ? e.composedPath()[0] : e.target;
+        if (!isElement(target) || isEngineUI(target)) return;
+        focusHistory = focusHistory.filter(el => el !== target && el.isConnected).concat(target).slice(-5);
+    }
+
+    // Sites often move focus into the dialog before we see it open, so fall back to history
+    function findReturnFocus(dialog) {
+        const candidates = [getDeepActiveElement()].concat(focusHistory.slice().reverse());
+        return candidates.find(el => isElement(el) && el !== docOf(el).body && !composedContains(dialog, el)) || null;
+    }
+
+    function isOpenDialog(dialog) {
+        return openDialogs.some(entry => entry.dialog === dialog);
+    }
+
+    // Native dialogs/popovers join the stack for focus return, but the browser owns their
+    // modality: showModal() already inerts the page, and popovers / show() are not modal.
+    function openDialog(dialog) {
+        const native = isNativeDialog(dialog);
+        const modal = native && matchesSafe(dialog, ':modal');
+        const entry = {
+            dialog: dialog,
+            enhancer: currentEnhancer,
+            returnFocus: findReturnFocus(dialog),
+            hidden: [],
+            reexposed: []
+        };
+
+        if (!auditMode) {
+            // a stacked dialog may live inside content a lower dialog hid
+            openDialogs.forEach(lower => {
+                lower.hidden = lower.hidden.filter(el => {
+                    if (!composedContains(el, dialog)) return true;
+                    revertTrackedAttr(el, 'aria-hidden');
+                    entry.reexposed.push({ element: el, owner: lower });
+                    return false;
+                });
+            });
+        }
+
+        if (!native) {
+            hideDialogBackground(dialog, entry.hidden);
+        }
+        if (!auditMode) openDialogs.push(entry);
+
+        if (native) {
+            // showModal() moves focus itself; non-modal ones leave it where it is
+            if (!modal && !auditMode) announce(getDialogName(dialog) + ' opened', 'info');
+            return;
+        }
+
+        const focusables = getFocusable(dialog);
+        if (focusables.length) {
+            if (!auditMode) focusables[0].focus();
+        } else {
+            setAttrTracked(dialog, 'tabindex', '-1');
+            if (!auditMode) dialog.focus();
+        }
+    }
+
+    // aria-hidden every sibling along the dialog's ancestor chain up to <body>
+    function hideDialogBackground(dialog, hidden) {
+        const body = docOf(dialog).body;
+        let node = dialog;
+        while (node && node !== body) {
+            const parent = node.parentNode;
+            if (!parent || parent.nodeType === 9) break;
+            toArray(parent.children).forEach(sibling => {
+                if (sibling === node || isEngineUI(sibling)) return;
+                if (/^(SCRIPT|STYLE|LINK|META|TEMPLATE|NOSCRIPT)$/.test(sibling.tagName)) return;
+                if (sibling.getAttribute('aria-hidden') === 'true') return;
+                setAttrTracked(sibling, 'aria-hidden', 'true', { step: 'modal background' });
+                if (sibling.getAttribute('aria-hidden') === 'true') hidden.push(sibling);
+            });
+            node = parent.nodeType === 11 ? parent.host : parent;
+        }
+    }
+
+    function closeDialog(entry) {
+        openDialogs = openDialogs.filter(other => other !== entry);
+        entry.hidden.forEach(el => revertTrackedAttr(el, 'aria-hidden'));
+
+        const previous = currentEnhancer;
+        currentEnhancer = entry.enhancer;
+        try {
+            entry.reexposed.forEach(record => {
+                if (openDialogs.indexOf(record.owner) === -1 || !record.element.isConnected) return;
+                setAttrTracked(record.element, 'aria-hidden', 'true', { step: 'modal background' });
+                record.owner.hidden.push(record.element);
+            });
+        } finally {
+            currentEnhancer = previous;
+        }
+
+        // only step in when focus was lost with the dialog, not when the page moved it on purpose
+        const active = getDeepActiveElement();
+        const lost = !active || active === docOf(active).body || composedContains(entry.dialog, active);
+        const target = entry.returnFocus;
+        if (lost && target && target.isConnected && isVisible(target)) {
+            target.focus();
+        }
+        announce(getDialogName(entry.dialog) + ' closed', 'info');
+    }
+
+    // Closes stack entries whose dialog was hidden or removed (topmost first)
+    function checkOpenDialogs() {
+        for (let i = openDialogs.length - 1; i >= 0; i--) {
+            const entry = openDialogs[i];
+            if (!entry.dialog.isConnected || !isDialogShown(entry.dialog)) {
+                closeDialog(entry);
+            }
+        }
+    }
+
+    function enhanceStickyHeadersGlobal(root) {
+        if (!a11yEnabled) return;
+        const container = root || document;
+
+        const headers = queryAllDeep(container, getSelector('stickyHeader'))
+            .filter(isVisible)
+            .filter(el => {
+                const style = getStyle(el);
+                return style.position === 'sticky' || style.position === 'fixed';
+            });
+
+        if (headers.length > 1) {
+            const mainHeader = headers[0];
+            headers.slice(1).forEach(h => {
+                if (h.innerText && mainHeader.innerText &&
+                    h.innerText.trim() === mainHeader.innerText.trim()) {
+                    setAttrTracked(h, 'aria-hidden', 'true');
+                }
+            });
+        }
+    }
+
+    function enhanceInfiniteScrollGlobal(addedCount = 0) {
+        if (!a11yEnabled) return;
+        if (addedCount > 0) {
+            announce(addedCount + ' more items loaded', 'info');
+        }
+    }
+
+    /* ---------------------------------------------------------
+       KEYBOARD INTERACTIONS (global listener)
+    --------------------------------------------------------- */
+
+    function setupKeyboardInteractions() {
+        document.addEventListener('keydown', handleKeydown, true);
+        window.addEventListener('keydown', finishShortcut);
+    }
+
+    // Also bound (tracked) on every enhanced same-origin frame document
+    function handleKeydown(e) {
+        // remappable engine shortcuts (settings, audit, navigation...), see SHORTCUT_ACTIONS
+        if (handleShortcut(e)) return;
+
+        if (!a11yEnabled) return;
+
+        if (inspectorActive) {
+            if (e.key === 'Escape' && !isEngineUI(document.activeElement)) {
+                e.preventDefault();
+                setInspector(false);
+                announce('Inspector off');
+                return;
+            }
+        }
+
+        const el = getDeepActiveElement();
+        if (!el) return;
+        const role = el.getAttribute('role');
+
+        // Enter/Space on buttons/tabs
+        if ((e.key === 'Enter' || e.key === ' ') &&
+            (role === 'button' || el.tagName === 'BUTTON' || role === 'tab')) {
+            if (el.tagName !== 'TEXTAREA' && el.tagName !== 'INPUT') {
+                e.preventDefault();
+                el.click();
+            }
+        }
+
+        // ESC to close dialog
+        if (e.key === 'Escape') {
+            const dialogs = queryAllDeep(docOf(e.target), '[role="dialog"][aria-modal="true"], .modal[role="dialog"], dialog[open], [popover]')
+                .filter(d => isDialogShown(d) && !isEngineUI(d) && !isManualPopover(d));
+            if (dialogs.length) {
+                // the topmost dialog we saw open, else the last one in document order
+                const stacked = openDialogs.filter(entry => dialogs.indexOf(entry.dialog) !== -1);
+                const dialog = stacked.length ? stacked[stacked.length - 1].dialog : dialogs[dialogs.length - 1];
+                const closeBtn = dialog.querySelector(
+                    'button[aria-label*="close" i], ' +
+                    '[role="button"][aria-label*="close" i], ' +
+                    '.close, .btn-close, .modal-close'
+                );
+                if (isNativeDialog(dialog)) {
+                    // lets the page's own close/toggle handlers run as usual; modal
+                    // <dialog>s already get cancel and close from the browser itself
+                    if (!matchesSafe(dialog, 'dialog:modal')) closeNativeDialog(dialog);
+                } else if (closeBtn) {
+                    closeBtn.click();
+                } else {
+                    setStyleTracked(dialog, 'display', 'none');
+                    setAttrTracked(dialog, 'aria-hidden', 'true');
+                }
+                checkOpenDialogs();
+            }
+        }
+    }
+
+    /* ---------------------------------------------------------
+       KEYBOARD SHORTCUTS (remappable, see settings.shortcuts)
+       Every engine hotkey is an action with a default binding
+       that can be remapped or switched off. Bindings never fire
+       while the user is typing, and keys the page declares or
+       handles itself are left to the page and reported in the audit.
+    --------------------------------------------------------- */
+
+    // always: works while the engine is off; inText: also fires in text fields;
+    // inspector: only while the inspector is on
+    const SHORTCUT_ACTIONS = [
+        { name: 'toggleEngine', description: 'Turn the engine on or off', keys: 'Alt+Shift+E', always: true, run: toggleEngineShortcut },
+        { name: 'openSettings', description: 'Open settings', keys: 'Alt+Shift+S', always: true, run: openSettingsPanel },
+        { name: 'audit', description: 'Run an audit', keys: 'Alt+Shift+A', always: true, run: () => showAuditPanel(runAudit()) },
+        { name: 'quickNav', description: 'Open quick navigation', keys: 'Alt+Shift+N', run: openQuickNav },
+        { name: 'jumpToMain', description: 'Jump to main content', keys: 'Alt+Shift+M', run: jumpToMain },
+        { name: 'nextHeading', description: 'Next heading', keys: 'Alt+Shift+H', run: () => focusAdjacent('heading', 1) },
+        { name: 'previousHeading', description: 'Previous heading', keys: 'Ctrl+Alt+Shift+H', run: () => focusAdjacent('heading', -1) },
+        { name: 'nextLandmark', description: 'Next landmark', keys: 'Alt+Shift+D', run: () => focusAdjacent('landmark', 1) },
+        { name: 'previousLandmark', description: 'Previous landmark', keys: 'Ctrl+Alt+Shift+D', run: () => focusAdjacent('landmark', -1) },
+        { name: 'repeatAnnouncement', description: 'Repeat the last announcement', keys: 'Alt+Shift+R', run: repeatAnnouncement },
+        { name: 'inspector', description: 'Toggle the inspector', keys: 'Alt+Shift+I', run: () => setInspector(!inspectorActive) },
+        { name: 'inspectorNext', description: 'Inspector: next enhanced element', keys: 'Alt+Shift+ArrowDown', inspector: true, run: () => stepInspector(1) },
+        { name: 'inspectorPrevious', description: 'Inspector: previous enhanced element', keys: 'Alt+Shift+ArrowUp', inspector: true, run: () => stepInspector(-1) },
+        { name: 'inspectorUndo', description: 'Inspector: undo the highlighted element', keys: 'Alt+Shift+U', inspector: true, run: revertInspected },
+        { name: 'correctLabel', description: 'Correct the focused element\'s name', keys: 'Alt+Shift+L', inText: true, run: correctFocusedLabel }
+    ];
+
+    const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+    const MODIFIER_ALIASES = { ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta' };
+    const TEXT_INPUT_TYPES = /^(text|search|email|url|tel|password|number|date|datetime-local|month|week|time)$/;
+
+    const pageHandledShortcuts = new Set(); // action names whose keys the page consumed
+    let pendingShortcut = null; // { event, action } until the page's own handlers have seen the event
+
+    // "Ctrl+Alt+Shift+Meta+Key" in canonical order; '' when the event is only a modifier
+    function eventToShortcut(e) {
+        if (!e.key || /^(Control|Alt|AltGraph|Shift|Meta|CapsLock|Dead)$/.test(e.key)) return '';
+        // e.code keeps the physical key, e.key changes with Alt/Shift on some layouts
+        let key = e.code ? e.code.replace(/^(Key|Digit)/, '') : '';
+        if (!key || key === 'Unidentified') {
+            key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        }
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    // Canonical form of a user-entered or aria-keyshortcuts combination, '' when unusable
+    function normalizeShortcut(keys) {
+        if (typeof keys !== 'string') return '';
+        const parts = keys.split('+').map(part => part.trim()).filter(Boolean);
+        const modifiers = [];
+        let key = '';
+        parts.forEach(part => {
+            const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+            if (modifier) {
+                if (modifiers.indexOf(modifier) === -1) modifiers.push(modifier);
+            } else {
+                key = part.length === 1 ? part.toUpperCase() : part;
+            }
+        });
+        if (!key) return '';
+        modifiers.sort((a, b) => SHORTCUT_MODIFIERS.indexOf(a) - SHORTCUT_MODIFIERS.indexOf(b));
+        return modifiers.concat(key).join('+');
+    }
+
+    // Plain or Shift-only letters would fire while reading; function keys are fine alone
+    function isUsableShortcut(keys) {
+        const parts = keys.split('+');
+        const key = parts[parts.length - 1];
+        return /^F([1-9]|1[0-9]|2[0-4])$/.test(key) ||
+            parts.some(part => part === 'Ctrl' || part === 'Alt' || part === 'Meta');
+    }
+
+    // Keeps known actions with usable combinations (the rest is dropped); '' switches an action off
+    function sanitizeShortcuts(overrides) {
+        const clean = {};
+        Object.keys(overrides && typeof overrides === 'object' ? overrides : {}).forEach(name => {
+            if (!SHORTCUT_ACTIONS.some(action => action.name === name)) return;
+            const value = overrides[name];
+            if (value === '' || value === null || value === false) {
+                clean[name] = '';
+                return;
+            }
+            const keys = normalizeShortcut(value);
+            if (keys && isUsableShortcut(keys)) {
+                clean[name] = keys;
+            }
+        });
+        return clean;
+    }
+
+    function getShortcutKeys(name) {
+        const overrides = settings.shortcuts || {};
+        if (typeof overrides[name] === 'string') return overrides[name];
+        const action = SHORTCUT_ACTIONS.find(a => a.name === name);
+        return action ? action.keys : '';
+    }
+
+    // action: key combination (or '' to switch it off, null for the default).
+    // Returns the keys now bound, false for an unknown action or an unusable combination.
+    function setShortcut(name, keys) {
+        if (!SHORTCUT_ACTIONS.some(action => action.name === name)) return false;
+        const overrides = Object.assign({}, settings.shortcuts);
+        if (keys === null || keys === undefined) {
+            delete overrides[name];
+        } else {
+            const patch = {};
+            patch[name] = keys;
+            const clean = sanitizeShortcuts(patch);
+            if (!Object.prototype.hasOwnProperty.call(clean, name)) return false;
+            overrides[name] = clean[name];
+        }
+        updateSettings({ shortcuts: overrides });
+        return getShortcutKeys(name);
+    }
+
+    // Combinations the page declares itself: aria-keyshortcuts, and accesskey
+    // (Alt+Shift+key in Firefox, Alt+key in Chromium)
+    function getPageShortcuts(doc) {
+        const declared = {}; // lowercased combination -> element
+        queryAllDeep(doc || document, '[aria-keyshortcuts], [accesskey]').forEach(el => {
+            if (isEngineUI(el)) return;
+            (el.getAttribute('aria-keyshortcuts') || '').split(/\s+/).forEach(keys => {
+                const normalized = normalizeShortcut(keys);
+                if (normalized) declared[normalized.toLowerCase()] = el;
+            });
+            (el.getAttribute('accesskey') || '').split(/\s+/).forEach(key => {
+                if (key.length !== 1) return;
+                declared[('Alt+' + key).toLowerCase()] = el;
+                declared[('Alt+Shift+' + key).toLowerCase()] = el;
+            });
+        });
+        return declared;
+    }
+
+    // [{ name, description, keys, defaultKeys, conflict }]; conflict is a sentence or null
+    function getShortcuts() {
+        const declared = getPageShortcuts(document);
+        return SHORTCUT_ACTIONS.map(action => {
+            const keys = getShortcutKeys(action.name);
+            const lower = keys.toLowerCase();
+            let conflict = null;
+            const twin = keys && SHORTCUT_ACTIONS.find(other =>
+                other !== action && getShortcutKeys(other.name).toLowerCase() === lower);
+            if (twin) {
+                conflict = 'Same keys as "' + twin.description + '"';
+            } else if (keys && declared[lower]) {
+                conflict = 'The page uses these keys for ' + (getAccessibleName(declared[lower]) || getSelectorPath(declared[lower]));
+            } else if (keys && pageHandledShortcuts.has(action.name)) {
+                conflict = 'The page handles these keys itself';
+            }
+            return { name: action.name, description: action.description, keys: keys, defaultKeys: action.keys, conflict: conflict };
+        });
+    }
+
+    function isTextEntry(el) {
+        if (!isElement(el)) return false;
+        if (el.isContentEditable || el.closest('[contenteditable]:not([contenteditable="false"])')) return true;
+        if (el.tagName === 'TEXTAREA') return true;
+        if (el.tagName === 'INPUT') return TEXT_INPUT_TYPES.test((el.getAttribute('type') || 'text').toLowerCase());
+        return /^(textbox|searchbox|combobox|spinbutton)$/.test(getRole(el));
+    }
+
+    // true when the event is an engine shortcut. The action itself waits for finishShortcut,
+    // so page handlers at every phase get the keys first.
+    function handleShortcut(e) {
+        const pressed = eventToShortcut(e).toLowerCase();
+        if (!pressed) return false;
+        const action = SHORTCUT_ACTIONS.find(a =>
+            (!a.inspector || inspectorActive) && getShortcutKeys(a.name).toLowerCase() === pressed);
+        if (!action) return false;
+        if (!action.always && !a11yEnabled) return false;
+
+        const active = getDeepActiveElement();
+        if (isTextEntry(active) && (!action.inText || isEngineUI(active))) return false;
+
+        if (e.defaultPrevented) {
+            pageHandledShortcuts.add(action.name);
+            return true;
+        }
+        pendingShortcut = { event: e, action: action };
+        setTimeout(() => {
+            // never reached the window: the page stopped it, so the page handles these keys
+            if (pendingShortcut && pendingShortcut.event === e) {
+                pendingShortcut = null;
+                pageHandledShortcuts.add(action.name);
+            }
+        }, 0);
+        return true;
+    }
+
+    // Window bubble listener, the last one to see the event
+    function finishShortcut(e) {
+        if (!pendingShortcut || pendingShortcut.event !== e) return;
+        const action = pendingShortcut.action;
+        pendingShortcut = null;
+        if (e.defaultPrevented) {
+            pageHandledShortcuts.add(action.name);
+            return;
+        }
+        e.preventDefault();
+        action.run();
+    }
+
+    function toggleEngineShortcut() {
+        setEnabled(!a11yEnabled);
+        if (a11yEnabled) {
+            announce('Accessibility engine on');
+        } else {
+            announceEngineOff();
+        }
+    }
+
+    // The live region goes away with the engine, so "off" gets a short-lived one of its own
+    function announceEngineOff() {
+        if (settings.verbosity === 'off' || !document.body) return;
+        const region = document.createElement('div');
+        region.setAttribute(A11Y_UI_ATTR, '');
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        // the engine stylesheet is gone too
+        region.style.cssText = 'position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+        document.body.appendChild(region);
+        setTimeout(() => {
+            region.textContent = 'Accessibility engine off';
+        }, 50);
+        setTimeout(() => region.remove(), 3000);
+    }
+
+    function correctFocusedLabel() {
+        const active = getDeepActiveElement();
+        const target = active && active !== docOf(active).body ? active : inspectorCurrent;
+        openLabelEditor(target);
+    }
+
+    function repeatAnnouncement() {
+        announce(lastAnnouncement || 'Nothing has been announced yet');
+    }
+
+    function jumpToMain() {
+        const main = getLandmarks(document).find(l => l.role === 'main');
+        if (main) {
+            focusNavigationTarget(main.element);
+        } else {
+            announce('This page has no main landmark');
+        }
+    }
+
+    // Moves focus to the next / previous heading or landmark after the focused element, wrapping around
+    function focusAdjacent(kind, delta) {
+        const targets = kind === 'heading'
+            ? buildHeadingOutline(document).map(entry => entry.element).filter(isNavigable)
+            : getLandmarks(document).map(l => l.element);
+        if (!targets.length) {
+            announce('This page has no ' + kind + 's');
+            return;
+        }
+
+        let from = getDeepActiveElement();
+        if (!from || docOf(from) !== document) from = document.activeElement || document.body;
+        const before = [];
+        const after = [];
+        targets.forEach(el => {
+            if (el === from) return;
+            const position = from.compareDocumentPosition(el);
+            if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
+                after.push(el);
+            } else if ((position & Node.DOCUMENT_POSITION_PRECEDING) && !(position & Node.DOCUMENT_POSITION_CONTAINS)) {
+                before.push(el);
+            }
+        });
+
+        let target = delta > 0 ? after[0] : before[before.length - 1];
+        if (!target) {
+            target = delta > 0 ? targets[0] : targets[targets.length - 1];
+            announce('Wrapped to the ' + (delta > 0 ? 'first ' : 'last ') + kind, 'info');
+        }
+        focusNavigationTarget(target);
+    }
+
+    /* ---------------------------------------------------------
+       HYBRID ENHANCEMENT ROUTING
+    --------------------------------------------------------- */
+
+    function runLocalEnhancements(root) {
+        getActiveEnhancers('local').forEach(enhancer => {
+            runEnhancer(enhancer, root, { addedCount: 0 });
+        });
+    }
+
+    function runGlobalEnhancements(addedCount = 0) {
+        // the skip menu is engine UI rather than a tracked change, so nothing else takes it down
+        if (skipLinkEl && !auditMode && !getActiveEnhancers('global').some(e => e.name === 'skipLinks')) {
+            removeSkipLink();
+        }
+        getEnhancedDocuments().forEach(doc => runGlobalEnhancementsIn(doc, doc === document ? addedCount : 0));
+    }
+
+    function runGlobalEnhancementsIn(doc, addedCount) {
+        getActiveEnhancers('global').forEach(enhancer => {
+            runEnhancer(enhancer, doc, { addedCount: addedCount });
+        });
+    }
+
+    /* ---------------------------------------------------------
+       SAME-ORIGIN FRAMES
+       Each accessible iframe document gets the styles, local +
+       global enhancers, keyboard handling and the observer.
+       Cross-origin frames expose no contentDocument and are skipped.
+    --------------------------------------------------------- */
+
+    const frameDocs = new Set(); // enhanced frame Documents
+    let framesSeen = new WeakSet(); // iframes that already have a tracked load listener
+    const frameObservers = new Map(); // Map<Document, MutationObserver>
+
+    function getFrameDocument(iframe) {
+        try {
+            const doc = iframe.contentDocument;
+            return doc && doc.documentElement ? doc : null;
+        } catch (e) {
+            return null; // cross-origin
+        }
+    }
+
+    function getEnhancedDocuments() {
+        const docs = [document];
+        frameDocs.forEach(doc => {
+            if (doc.defaultView) {
+                docs.push(doc);
+            } else {
+                frameDocs.delete(doc); // frame was removed or navigated away
+                if (frameObservers.has(doc)) {
+                    frameObservers.get(doc).disconnect();
+                    frameObservers.delete(doc);
+                }
+            }
+        });
+        return docs;
+    }
+
+    function discoverFrames(root) {
+        if (!root || !root.querySelectorAll) return;
+        const frames = queryAllDeep(root, 'iframe');
+        if (isElement(root) && root.tagName === 'IFRAME') frames.unshift(root);
+        frames.forEach(attachFrame);
+    }
+
+    function attachFrame(iframe) {
+        if (!framesSeen.has(iframe)) {
+            framesSeen.add(iframe);
+            // a (re)load swaps in a new document that needs enhancing again
+            addEnhancerListener(iframe, 'load', () => {
+                if (a11yEnabled) enhanceFrameDocument(getFrameDocument(iframe));
+            });
+        }
+        enhanceFrameDocument(getFrameDocument(iframe));
+    }
+
+    function enhanceFrameDocument(doc) {
+        if (!a11yEnabled || !doc || !doc.body || frameDocs.has(doc)) return;
+        frameDocs.add(doc);
+
+        addGlobalStyles(doc);
+        addEnhancerListener(doc, 'keydown', handleKeydown, true);
+        if (doc.defaultView) addEnhancerListener(doc.defaultView, 'keydown', finishShortcut);
+        addEnhancerListener(doc, 'focusin', rememberFocus, true);
+        discoverShadowRoots(doc.body);
+        runLocalEnhancements(doc.body);
+        runGlobalEnhancementsIn(doc, 0);
+        observeFrame(doc);
+        discoverFrames(doc.body);
+    }
+
+    /* ---------------------------------------------------------
+       ENHANCER REGISTRY
+       local  = run on each added subtree (root = subtree)
+       global = run once per animation frame (root = document)
+       Lower priority runs first.
+    --------------------------------------------------------- */
+
+    const enhancerRegistry = new Map(); // Map<name, { name, scope, priority, enabled, description, run }>
+
+    // Handed to every enhancer so third-party fixes stay reversible
+    const enhancerTools = Object.freeze({
+        setAttr: setAttrTracked,
+        removeAttr: removeAttrTracked,
+        setStyle: setStyleTracked,
+        reportIssue: reportIssue
+    });
+
+    function registerEnhancer(def) {
+        if (!def || typeof def.name !== 'string' || !def.name || typeof def.run !== 'function') {
+            throw new TypeError('registerEnhancer: "name" and "run" are required');
+        }
+        if (def.scope !== 'local' && def.scope !== 'global') {
+            throw new TypeError('registerEnhancer: "scope" must be "local" or "global"');
+        }
+
+        const enhancer = {
+            name: def.name,
+            scope: def.scope,
+            priority: typeof def.priority === 'number' ? def.priority : 100,
+            enabled: def.enabled !== false,
+            description: def.description || '',
+            run: def.run
+        };
+        enhancerRegistry.set(enhancer.name, enhancer);
+
+        if (a11yEnabled && isEnhancerEnabled(enhancer)) {
+            runEnhancerNow(enhancer);
+        }
+        return enhancer.name;
+    }
+
+    function unregisterEnhancer(name) {
+        return enhancerRegistry.delete(name);
+    }
+
+    // Site profile wins over the enhancer's default-enabled state
+    function isEnhancerEnabled(enhancer) {
+        if (Object.prototype.hasOwnProperty.call(profile.enhancers, enhancer.name)) {
+            return profile.enhancers[enhancer.name];
+        }
+        return enhancer.enabled;
+    }
+
+    // Persisted in the site profile. Turning an enhancer off stops future runs;
+    // it does not roll back what it already did.
+    function setEnhancerEnabled(name, enabled) {
+        if (!enhancerRegistry.has(name)) return false;
+        const patch = {};
+        patch[name] = !!enabled;
+        updateProfile({ enhancers: patch });
+        return true;
+    }
+
+    function listEnhancers() {
+        return getEnhancers('local').concat(getEnhancers('global')).map(e => ({
+            name: e.name,
+            scope: e.scope,
+            priority: e.priority,
+            enabled: isEnhancerEnabled(e),
+            defaultEnabled: e.enabled,
+            description: e.description
+        }));
+    }
 
-                tab.addEventListener('keydown', e => {
-                    if (!a11yEnabled) return;
-                    const idx = tabs.indexOf(tab);
+    function sortEnhancers(list) {
+        // Array#sort is stable, so equal priorities keep registration order
+        return list.sort((a, b) => a.priority - b.priority);
+    }
 
-                    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-                        e.preventDefault();
-                        activateTab(tabs[(idx + 1) % tabs.length]);
-                    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-                        e.preventDefault();
-                        activateTab(tabs[(idx - 1 + tabs.length) % tabs.length]);
-                    } else if (e.key === 'Home') {
-                        e.preventDefault();
-                        activateTab(tabs[0]);
-                    } else if (e.key === 'End') {
-                        e.preventDefault();
-                        activateTab(tabs[tabs.length - 1]);
-                    }
-                });
-            });
-        });
+    function getEnhancers(scope) {
+        return sortEnhancers(Array.from(enhancerRegistry.values()).filter(e => e.scope === scope));
     }
 
-    function normalizeTabIndexGlobal(root) {
-        if (!a11yEnabled) return;
-        const container = root || document;
+    function getActiveEnhancers(scope) {
+        return getEnhancers(scope).filter(isEnhancerEnabled);
+    }
 
-        const tabbables = container.querySelectorAll('[tabindex]');
-        tabbables.forEach(el => {
-            const val = parseInt(el.getAttribute('tabindex'), 10);
-            if (!isNaN(val) && val > 0) {
-                setAttrTracked(el, 'tabindex', '0');
+    function runEnhancer(enhancer, root, context) {
+        const previous = currentEnhancer;
+        currentEnhancer = enhancer.name;
+        try {
+            enhancer.run(root, Object.assign({}, enhancerTools, context));
+        } catch (e) {
+            if (auditMode) {
+                reportIssue(docOf(root).body, 'Enhancer "' + enhancer.name + '" failed: ' + (e && e.message || e));
+            } else {
+                rethrowLater(e);
             }
-        });
+        } finally {
+            currentEnhancer = previous;
+        }
     }
 
-    function enhanceDialogsGlobal(root) {
-        if (!a11yEnabled) return;
-        const container = root || document;
+    function runEnhancerNow(enhancer) {
+        if (enhancer.scope === 'local') {
+            if (document.body) runEnhancer(enhancer, document.body, { addedCount: 0 });
+        } else {
+            scheduleEnhancements(0);
+        }
+    }
 
-        const modalSelector = [
-            '.modal',
-            '.dialog',
-            '.popup',
-            '.lightbox',
-            '[data-modal]',
-            '[data-dialog]'
-        ].join(',');
+    function registerBuiltInEnhancers() {
+        [
+            { name: 'userLabels', scope: 'local', priority: 0, run: applyUserLabels, description: 'Your saved name corrections' },
+            { name: 'aria', scope: 'local', priority: 2, run: enhanceAriaValidation, description: 'Repair invalid roles, broken id references and missing ARIA states' },
+            { name: 'images', scope: 'local', priority: 5, run: enhanceImages, description: 'Alt text for images, empty alt for decorative ones' },
+            { name: 'buttons', scope: 'local', priority: 10, run: enhanceUnlabeledButtons, description: 'Label icon-only and unlabeled buttons' },
+            { name: 'links', scope: 'local', priority: 20, run: enhanceUnlabeledLinks, description: 'Label icon-only and empty links' },
+            { name: 'icons', scope: 'local', priority: 25, run: enhanceIcons, description: 'Hide decorative icons, name standalone SVG and font icons' },
+            { name: 'forms', scope: 'local', priority: 30, run: enhanceInputsAndForms, description: 'Form labels, required fields and errors' },
+            { name: 'clickableRoles', scope: 'local', priority: 40, run: enhanceClickableRoles, description: 'Expose clickable div/span as buttons' },
+            { name: 'dropdowns', scope: 'local', priority: 50, run: enhanceLocalDropdowns, description: 'Dropdown and accordion toggles' },
+            { name: 'liveRegions', scope: 'local', priority: 60, run: enhanceLocalLiveRegions, description: 'Announce toasts and notifications' },
+            { name: 'sliders', scope: 'local', priority: 70, run: enhanceSliders, description: 'Keyboard-operable custom sliders' },
+            { name: 'headings', scope: 'local', priority: 80, run: enhanceHeadings, description: 'Expose styled pseudo-headings as headings and check the outline' },
+
+            { name: 'regions', scope: 'global', priority: 10, run: enhanceRegionsGlobal, description: 'Infer header, navigation, main and footer landmarks' },
+            { name: 'tabs', scope: 'global', priority: 20, run: enhanceTabsGlobal, description: 'Tab lists with roving tabindex' },
+            { name: 'dialogs', scope: 'global', priority: 30, run: enhanceDialogsGlobal, description: 'Dialog roles and focus trap' },
+            { name: 'nativeDialogs', scope: 'global', priority: 35, run: enhanceNativeDialogsGlobal, description: 'Native <dialog> and popover labels, focus return and announcements' },
+            { name: 'stickyHeaders', scope: 'global', priority: 40, run: enhanceStickyHeadersGlobal, description: 'Hide duplicated sticky headers' },
+            { name: 'tabindex', scope: 'global', priority: 50, run: normalizeTabIndexGlobal, description: 'Normalize positive tabindex values' },
+            { name: 'infiniteScroll', scope: 'global', priority: 60, run: (root, ctx) => enhanceInfiniteScrollGlobal(ctx.addedCount), description: 'Announce items loaded by infinite scroll' },
+            { name: 'skipLinks', scope: 'global', priority: 70, run: enhanceSkipLinksGlobal, description: 'Skip links to main content, navigation, search and footer' }
+        ].forEach(registerEnhancer);
+    }
 
-        container.querySelectorAll(modalSelector).forEach(dialog => {
-            if (!isVisible(dialog)) return;
-            if (dialog.getAttribute(A11Y_FLAG + '-dialog') === '1') return;
-            setAttrTracked(dialog, A11Y_FLAG + '-dialog', '1');
+    /* ---------------------------------------------------------
+       INSPECTOR OVERLAY
+       Outlines every element in changeLog; hover/focus (or the
+       inspectorNext / inspectorPrevious shortcuts) shows what the
+       engine changed on it.
+    --------------------------------------------------------- */
 
-            if (!dialog.hasAttribute('role')) {
-                setAttrTracked(dialog, 'role', 'dialog');
-            }
-            if (!dialog.hasAttribute('aria-modal')) {
-                setAttrTracked(dialog, 'aria-modal', 'true');
-            }
+    const INSPECT_ATTR = 'data-a11y-inspect';
+
+    let inspectorActive = false;
+    let inspectorStyleEl = null;
+    let inspectorPopover = null;
+    let inspectorCurrent = null;
+    let inspectorUnsubscribers = [];
+    const inspectorMarked = new Set();
+
+    function setInspector(active) {
+        active = !!active && a11yEnabled;
+        if (active === inspectorActive) return;
+        inspectorActive = active;
+        if (active) {
+            startInspector();
+        } else {
+            stopInspector();
+        }
+        emitEvent('inspector', { active: active });
+    }
 
-            const heading = dialog.querySelector('h1, h2, h3, .title, .dialog-title, .modal-title');
-            if (heading) {
-                if (!heading.id) {
-                    setAttrTracked(heading, 'id', uniqueId('a11y-dialog-title'));
+    function startInspector() {
+        if (document.head) {
+            inspectorStyleEl = document.createElement('style');
+            inspectorStyleEl.setAttribute(A11Y_UI_ATTR, '');
+            inspectorStyleEl.textContent = `
+                [${INSPECT_ATTR}] {
+                    outline: 2px dashed #c026d3 !important;
+                    outline-offset: 1px !important;
                 }
-                if (!dialog.hasAttribute('aria-labelledby')) {
-                    setAttrTracked(dialog, 'aria-labelledby', heading.id);
+                [${INSPECT_ATTR}="current"] {
+                    outline-style: solid !important;
                 }
-            }
+            `;
+            document.head.appendChild(inspectorStyleEl);
+        }
 
-            dialog.addEventListener('keydown', e => {
-                if (!a11yEnabled) return;
-                if (e.key !== 'Tab') return;
-                const focusables = getFocusable(dialog);
-                if (!focusables.length) return;
+        changeLog.forEach((entry, el) => markInspected(el));
+        inspectorUnsubscribers = [
+            subscribe('enhanced', detail => markInspected(detail.element)),
+            subscribe('reverted', unmarkReverted)
+        ];
+        document.addEventListener('mouseover', onInspectorPointer, true);
+        document.addEventListener('focusin', onInspectorPointer, true);
 
-                const first = focusables[0];
-                const last = focusables[focusables.length - 1];
+        announce('Inspector on: ' + inspectorMarked.size + ' enhanced elements. ' + describeInspectorKeys() + 'Escape exits.');
+    }
 
-                if (e.shiftKey) {
-                    if (document.activeElement === first) {
-                        e.preventDefault();
-                        last.focus();
-                    }
-                } else {
-                    if (document.activeElement === last) {
-                        e.preventDefault();
-                        first.focus();
-                    }
-                }
-            });
+    // Spoken hint for the step shortcuts as currently bound; unbound ones are left out
+    function describeInspectorKeys() {
+        const next = getShortcutKeys('inspectorNext');
+        const previous = getShortcutKeys('inspectorPrevious');
+        if (next && previous) return next + ' and ' + previous + ' step through them, ';
+        if (next) return next + ' steps to the next one, ';
+        if (previous) return previous + ' steps to the previous one, ';
+        return '';
+    }
 
-            if (isVisible(dialog)) {
-                const focusables = getFocusable(dialog);
-                if (focusables.length) {
-                    focusables[0].focus();
-                } else {
-                    setAttrTracked(dialog, 'tabindex', '-1');
-                    dialog.focus();
-                }
-            }
+    function stopInspector() {
+        document.removeEventListener('mouseover', onInspectorPointer, true);
+        document.removeEventListener('focusin', onInspectorPointer, true);
+        inspectorUnsubscribers.forEach(unsubscribeFn => unsubscribeFn());
+        inspectorUnsubscribers = [];
+        inspectorMarked.forEach(el => el.removeAttribute(INSPECT_ATTR));
+        inspectorMarked.clear();
+        inspectorCurrent = null;
+        if (inspectorPopover) {
+            inspectorPopover.remove();
+            inspectorPopover = null;
+        }
+        if (inspectorStyleEl) {
+            inspectorStyleEl.remove();
+            inspectorStyleEl = null;
+        }
+    }
+
+    function markInspected(el) {
+        if (!isElement(el) || isEngineUI(el)) return;
+        if (!el.hasAttribute(INSPECT_ATTR)) {
+            el.setAttribute(INSPECT_ATTR, '');
+        }
+        inspectorMarked.add(el);
+    }
+
+    function unmarkReverted() {
+        inspectorMarked.forEach(el => {
+            if (changeLog.has(el)) return;
+            el.removeAttribute(INSPECT_ATTR);
+            inspectorMarked.delete(el);
         });
+        if (inspectorCurrent && !changeLog.has(inspectorCurrent)) {
+            inspectorCurrent = null;
+            if (inspectorPopover) inspectorPopover.style.display = 'none';
+        }
     }
 
-    function enhanceStickyHeadersGlobal(root) {
-        if (!a11yEnabled) return;
-        const container = root || document;
+    function revertInspected() {
+        if (!inspectorCurrent) return;
+        const el = inspectorCurrent;
+        const count = revertElement(el);
+        announce('Reverted ' + count + ' changes on ' + getSelectorPath(el));
+    }
 
-        const headers = toArray(container.querySelectorAll('header, [class*="header"], [class*="top-bar"]'))
-            .filter(isVisible)
-            .filter(el => {
-                const style = getComputedStyle(el);
-                return style.position === 'sticky' || style.position === 'fixed';
-            });
+    function findInspected(node) {
+        let el = isElement(node) ? node : null;
+        while (el && !changeLog.has(el)) {
+            el = el.parentElement;
+        }
+        return el;
+    }
 
-        if (headers.length > 1) {
-            const mainHeader = headers[0];
-            headers.slice(1).forEach(h => {
-                if (h.innerText && mainHeader.innerText &&
-                    h.innerText.trim() === mainHeader.innerText.trim()) {
-                    setAttrTracked(h, 'aria-hidden', 'true');
-                }
+    function onInspectorPointer(e) {
+        if (isEngineUI(e.target)) return;
+        const el = findInspected(e.target);
+        if (el) showInspectorFor(el);
+    }
+
+    function formatValue(value) {
+        return value === null || value === undefined ? '(none)' : JSON.stringify(value);
+    }
+
+    function describeTrackedChanges(el) {
+        const entry = changeLog.get(el);
+        if (!entry) return [];
+        const lines = [];
+        Object.keys(entry.attrs).forEach(attr => {
+            const meta = entry.meta.attrs[attr] || {};
+            lines.push(attr + ': ' + formatValue(entry.attrs[attr]) + ' → ' + formatValue(el.getAttribute(attr)) +
+                ' (' + (meta.enhancer || 'unknown') +
+                (meta.step ? ', ' + meta.step : '') +
+                (typeof meta.confidence === 'number' ? ', ' + Math.round(meta.confidence * 100) + '%' : '') + ')');
+        });
+        Object.keys(entry.styles).forEach(prop => {
+            const meta = entry.meta.styles[prop] || {};
+            lines.push('style.' + prop + ': ' + formatValue(entry.styles[prop] || '') + ' → ' +
+                formatValue(el.style[prop] || '') + ' (' + (meta.enhancer || 'unknown') + ')');
+        });
+        return lines;
+    }
+
+    function showInspectorFor(el) {
+        if (!document.body) return;
+        if (inspectorCurrent && inspectorCurrent !== el && inspectorCurrent.hasAttribute(INSPECT_ATTR)) {
+            inspectorCurrent.setAttribute(INSPECT_ATTR, '');
+        }
+        inspectorCurrent = el;
+        el.setAttribute(INSPECT_ATTR, 'current');
+
+        if (!inspectorPopover) {
+            inspectorPopover = document.createElement('div');
+            inspectorPopover.id = 'a11y-inspector-popover';
+            inspectorPopover.setAttribute(A11Y_UI_ATTR, '');
+            inspectorPopover.setAttribute('role', 'tooltip');
+            Object.assign(inspectorPopover.style, {
+                position: 'fixed',
+                zIndex: '2147483647',
+                maxWidth: 'min(480px, 90vw)',
+                padding: '8px 10px',
+                borderRadius: '6px',
+                background: '#1f1f1f',
+                color: '#fff',
+                font: '12px/1.4 ui-monospace, monospace',
+                boxShadow: '0 4px 14px rgba(0,0,0,0.4)',
+                pointerEvents: 'none'
             });
+            document.body.appendChild(inspectorPopover);
         }
+
+        inspectorPopover.textContent = '';
+        const title = document.createElement('strong');
+        title.textContent = getSelectorPath(el);
+        inspectorPopover.appendChild(title);
+        const list = document.createElement('ul');
+        Object.assign(list.style, { margin: '4px 0 0', paddingLeft: '16px' });
+        describeTrackedChanges(el).forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+        inspectorPopover.appendChild(list);
+        const hint = document.createElement('div');
+        const undoKeys = getShortcutKeys('inspectorUndo');
+        hint.textContent = undoKeys ? undoKeys + ': undo these changes' : '';
+        Object.assign(hint.style, { marginTop: '4px', opacity: '0.8' });
+        inspectorPopover.appendChild(hint);
+        inspectorPopover.style.display = '';
+
+        const rect = el.getBoundingClientRect();
+        const top = rect.bottom + 6 + 120 > window.innerHeight ? Math.max(0, rect.top - 6 - 120) : rect.bottom + 6;
+        inspectorPopover.style.top = top + 'px';
+        inspectorPopover.style.left = Math.max(0, Math.min(rect.left, window.innerWidth - 320)) + 'px';
     }
 
-    function enhanceInfiniteScrollGlobal(addedCount = 0) {
-        if (!a11yEnabled) return;
-        if (addedCount > 0) {
-            announce(addedCount + ' more items loaded');
+    // Keyboard path: walk the enhanced elements in document order
+    function stepInspector(delta) {
+        const list = Array.from(inspectorMarked)
+            .filter(el => el.isConnected && changeLog.has(el))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+        if (!list.length) return;
+
+        const idx = list.indexOf(inspectorCurrent);
+        const next = list[idx === -1 ? (delta > 0 ? 0 : list.length - 1) : (idx + delta + list.length) % list.length];
+        if (typeof next.scrollIntoView === 'function') {
+            next.scrollIntoView({ block: 'center' });
         }
+        showInspectorFor(next);
+        announce(getSelectorPath(next) + '. ' + describeTrackedChanges(next).join('. '));
     }
 
     /* ---------------------------------------------------------
-       KEYBOARD INTERACTIONS (global listener)
+       QUICK NAVIGATION (Alt+Shift+N)
+       Rotor-style palette of the page's landmarks, headings,
+       forms and links: type to filter, arrows to pick, Enter
+       moves focus to the target.
     --------------------------------------------------------- */
 
-    function setupKeyboardInteractions() {
-        document.addEventListener('keydown', e => {
-            if (!a11yEnabled) return;
+    const LANDMARK_NAMES = {
+        banner: 'Banner',
+        navigation: 'Navigation',
+        main: 'Main',
+        contentinfo: 'Content info',
+        complementary: 'Complementary',
+        search: 'Search',
+        form: 'Form',
+        region: 'Region'
+    };
+    const LANDMARK_SELECTOR = 'header, footer, nav, main, aside, search, form, section, [role]';
+    const QUICK_NAV_TYPES = [
+        ['all', 'Everything'],
+        ['landmark', 'Landmarks'],
+        ['heading', 'Headings'],
+        ['form', 'Forms'],
+        ['link', 'Links']
+    ];
+    const QUICK_NAV_MAX_OPTIONS = 200;
+
+    // Landmark role, explicit or implied by the tag; '' when the element is not a landmark
+    function getLandmarkRole(el) {
+        if ((el.getAttribute('role') || '').trim()) {
+            const role = getRole(el);
+            return LANDMARK_NAMES[role] ? role : '';
+        }
+        return getImplicitLandmarkRole(el);
+    }
 
-            const el = document.activeElement;
-            if (!el) return;
-            const role = el.getAttribute('role');
+    // Landmark role the tag alone implies, whatever the role attribute says
+    function getImplicitLandmarkRole(el) {
+        switch (el.tagName) {
+            case 'NAV': return 'navigation';
+            case 'MAIN': return 'main';
+            case 'ASIDE': return 'complementary';
+            case 'SEARCH': return 'search';
+            // header/footer are only page landmarks outside sectioning content
+            case 'HEADER': return el.closest('article, aside, main, nav, section') ? '' : 'banner';
+            case 'FOOTER': return el.closest('article, aside, main, nav, section') ? '' : 'contentinfo';
+            case 'FORM': return getAccessibleName(el) ? 'form' : '';
+            case 'SECTION': return getAccessibleName(el) ? 'region' : '';
+        }
+        return '';
+    }
 
-            // Enter/Space on buttons/tabs
-            if ((e.key === 'Enter' || e.key === ' ') &&
-                (role === 'button' || el.tagName === 'BUTTON' || role === 'tab')) {
-                if (el.tagName !== 'TEXTAREA' && el.tagName !== 'INPUT') {
-                    e.preventDefault();
-                    el.click();
-                }
+    function sortByDocumentOrder(list) {
+        return list.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+    }
+
+    function isNavigable(el) {
+        return !isEngineUI(el) && !isHiddenFromAT(el) && isVisible(el);
+    }
+
+    // [{ element, role, name }] in document order
+    function getLandmarks(doc) {
+        const landmarks = [];
+        queryAllDeep(doc || document, LANDMARK_SELECTOR).forEach(el => {
+            const role = getLandmarkRole(el);
+            if (!role || !isNavigable(el)) return;
+            landmarks.push({ element: el, role: role, name: getAccessibleName(el) });
+        });
+        return sortByDocumentOrder(landmarks);
+    }
+
+    function describeForm(form) {
+        const name = getAccessibleName(form);
+        if (name) return name;
+        const fields = toArray(form.querySelectorAll('input:not([type="hidden"]), select, textarea'));
+        const first = fields.map(field => getAccessibleName(field)).find(Boolean);
+        if (first) return first + (fields.length > 1 ? ' and ' + (fields.length - 1) + ' more fields' : '');
+        return fields.length + (fields.length === 1 ? ' field' : ' fields');
+    }
+
+    // [{ type, element, text }]: landmarks, headings, forms, links, each in document order
+    function getQuickNavItems(doc) {
+        const items = getLandmarks(doc).map(l => ({
+            type: 'landmark',
+            element: l.element,
+            text: LANDMARK_NAMES[l.role] + (l.name ? ': ' + l.name : '')
+        }));
+
+        buildHeadingOutline(doc).forEach(h => {
+            if (!isNavigable(h.element)) return;
+            items.push({ type: 'heading', element: h.element, text: 'Heading ' + h.level + ': ' + h.text });
+        });
+
+        const forms = queryAllDeep(doc, 'form, [role="form"], [role="search"]').filter(isNavigable);
+        sortByDocumentOrder(forms.map(form => ({ type: 'form', element: form, text: 'Form: ' + describeForm(form) })))
+            .forEach(item => items.push(item));
+
+        const links = [];
+        queryAllDeep(doc, 'a[href], area[href], [role="link"]').forEach(link => {
+            const name = isNavigable(link) ? getAccessibleName(link) : '';
+            if (name) links.push({ type: 'link', element: link, text: 'Link: ' + name });
+        });
+        sortByDocumentOrder(links).forEach(item => items.push(item));
+
+        return items;
+    }
+
+    // Focus a landmark or heading; non-focusable targets get a tracked tabindex="-1"
+    function focusNavigationTarget(el) {
+        if (!el.isConnected) {
+            announce('That element is no longer on the page');
+            return false;
+        }
+        makeFocusTarget(el);
+        if (typeof el.scrollIntoView === 'function') {
+            el.scrollIntoView({ block: 'start' });
+        }
+        el.focus();
+        return true;
+    }
+
+    function openQuickNav() {
+        if (!a11yEnabled || !document.body) return;
+
+        const items = getQuickNavItems(document);
+        const ui = createEnginePanel('a11y-quicknav-panel', 'Jump to');
+        let type = 'all';
+        let matches = [];
+        let active = 0;
+
+        const input = document.createElement('input');
+        input.id = 'a11y-quicknav-filter';
+        input.type = 'text';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-controls', 'a11y-quicknav-list');
+        input.setAttribute('autocomplete', 'off');
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = 'Filter ';
+        const filterRow = document.createElement('div');
+        filterRow.appendChild(label);
+        filterRow.appendChild(input);
+
+        const typeRow = createSelectRow('a11y-quicknav-type', 'Show', QUICK_NAV_TYPES, type, value => {
+            type = value;
+            render();
+        });
+
+        const status = document.createElement('p');
+        status.setAttribute('role', 'status');
+        Object.assign(status.style, { margin: '6px 0', fontSize: '12px' });
+
+        const list = document.createElement('ul');
+        list.id = 'a11y-quicknav-list';
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-label', 'Results');
+        Object.assign(list.style, { listStyle: 'none', margin: '0', padding: '0', maxHeight: '50vh', overflow: 'auto' });
+
+        function jump(item) {
+            ui.close();
+            focusNavigationTarget(item.element);
+        }
+
+        function setActive(index) {
+            const options = list.children;
+            if (!options.length) {
+                input.removeAttribute('aria-activedescendant');
+                return;
+            }
+            active = Math.max(0, Math.min(index, options.length - 1));
+            toArray(options).forEach((option, i) => {
+                option.setAttribute('aria-selected', String(i === active));
+                option.style.background = i === active ? '#1a73e8' : '';
+                option.style.color = i === active ? '#fff' : '';
+            });
+            input.setAttribute('aria-activedescendant', options[active].id);
+            if (typeof options[active].scrollIntoView === 'function') {
+                options[active].scrollIntoView({ block: 'nearest' });
             }
+        }
 
-            // ESC to close dialog
-            if (e.key === 'Escape') {
-                const dialogs = toArray(document.querySelectorAll('[role="dialog"][aria-modal="true"], .modal[role="dialog"]'))
-                    .filter(isVisible);
-                if (dialogs.length) {
-                    const dialog = dialogs[dialogs.length - 1];
-                    const closeBtn = dialog.querySelector(
-                        'button[aria-label*="close" i], ' +
-                        '[role="button"][aria-label*="close" i], ' +
-                        '.close, .btn-close, .modal-close'
-                    );
-                    if (closeBtn) {
-                        closeBtn.click();
-                    } else {
-                        setStyleTracked(dialog, 'display', 'none');
-                        setAttrTracked(dialog, 'aria-hidden', 'true');
-                    }
-                }
+        function render() {
+            const words = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+            matches = items.filter(item =>
+                (type === 'all' || item.type === type) &&
+                words.every(word => item.text.toLowerCase().indexOf(word) !== -1)
+            );
+
+            list.textContent = '';
+            matches.slice(0, QUICK_NAV_MAX_OPTIONS).forEach((item, i) => {
+                const option = document.createElement('li');
+                option.id = 'a11y-quicknav-opt-' + i;
+                option.setAttribute('role', 'option');
+                option.textContent = item.text;
+                Object.assign(option.style, { padding: '4px 6px', cursor: 'pointer' });
+                option.addEventListener('click', () => jump(item));
+                list.appendChild(option);
+            });
+
+            status.textContent = matches.length > QUICK_NAV_MAX_OPTIONS
+                ? 'Showing ' + QUICK_NAV_MAX_OPTIONS + ' of ' + matches.length + ' results, type to narrow them down'
+                : matches.length + (matches.length === 1 ? ' result' : ' results');
+            setActive(0);
+        }
+
+        input.addEventListener('input', render);
+        input.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+                e.preventDefault();
+                setActive(active + (e.key === 'PageDown' ? 10 : -10));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (matches[active]) jump(matches[active]);
             }
-        }, true);
+        });
+
+        ui.body.appendChild(filterRow);
+        ui.body.appendChild(typeRow);
+        ui.body.appendChild(status);
+        ui.body.appendChild(list);
+
+        render();
+        input.focus();
     }
 
     /* ---------------------------------------------------------
-       HYBRID ENHANCEMENT ROUTING
+       AUDIT (DRY RUN)
+       Runs every enhancer with the tracked setters switched to
+       recording mode, so the page itself is left untouched.
     --------------------------------------------------------- */
 
-    function runLocalEnhancements(root) {
-        enhanceUnlabeledButtons(root);
-        enhanceUnlabeledLinks(root);
-        enhanceInputsAndForms(root);
-        enhanceClickableRoles(root);
-        enhanceLocalDropdowns(root);
-        enhanceLocalLiveRegions(root);
-        enhanceSliders(root);
+    // Claim markers and the background a modal hides while open are bookkeeping, not fixes
+    function isReportableChange(name, meta) {
+        return name.indexOf(A11Y_FLAG) !== 0 && !(meta && meta.step === 'modal background');
     }
 
-    function runGlobalEnhancements(addedCount = 0) {
-        enhanceRegionsGlobal();
-        enhanceTabsGlobal();
-        enhanceDialogsGlobal();
-        enhanceStickyHeadersGlobal();
-        normalizeTabIndexGlobal();
-        enhanceInfiniteScrollGlobal(addedCount);
+    function recordAuditProposal(el, kind, name, oldValue, value, meta) {
+        const proposed = value === null ? null : String(value);
+        if (proposed === oldValue || !isReportableChange(name, meta)) return;
+        const record = {
+            element: el,
+            selector: getSelectorPath(el),
+            oldValue: oldValue,
+            value: proposed,
+            enhancer: meta.enhancer,
+            step: meta.step,
+            confidence: meta.confidence,
+            suppressed: meta.confidence < settings.minConfidence,
+            applied: false
+        };
+        record[kind] = name;
+        auditRecords.push(record);
+    }
+
+    // Problems an enhancer found but could not fix; only collected during an audit
+    function reportIssue(el, message) {
+        if (!auditMode) return;
+        const duplicate = auditIssues.some(issue => issue.element === el && issue.message === message);
+        if (duplicate) return;
+        auditIssues.push({
+            element: el,
+            selector: getSelectorPath(el),
+            message: message,
+            enhancer: currentEnhancer
+        });
+    }
+
+    function runAudit() {
+        const wasEnabled = a11yEnabled;
+        auditRecords = [];
+        auditIssues = [];
+        auditIds = new WeakMap();
+        auditMode = true;
+        a11yEnabled = true; // enhancers bail out while the engine is off
+        try {
+            if (document.body) {
+                discoverShadowRoots(document.body);
+                runLocalEnhancements(document.body);
+                runGlobalEnhancements(0);
+            }
+            storedProfileProblems.forEach(problem => reportIssue(document.body, 'Stored site profile: ignored ' + problem));
+            getShortcuts().forEach(shortcut => {
+                if (shortcut.conflict) {
+                    reportIssue(document.body, 'Shortcut ' + shortcut.keys + ' (' + shortcut.description + '): ' + shortcut.conflict);
+                }
+            });
+        } finally {
+            auditMode = false;
+            a11yEnabled = wasEnabled;
+        }
+
+        // Fixes the live engine already applied are missing from the markup too
+        const applied = [];
+        changeLog.forEach((entry, el) => {
+            if (!el.isConnected) return;
+            Object.keys(entry.attrs).forEach(attr => {
+                if (!isReportableChange(attr, entry.meta.attrs[attr])) return;
+                applied.push(Object.assign({
+                    element: el,
+                    selector: getSelectorPath(el),
+                    attr: attr,
+                    oldValue: entry.attrs[attr],
+                    value: el.getAttribute(attr)
+                }, entry.meta.attrs[attr], { suppressed: false, applied: true }));
+            });
+            Object.keys(entry.styles).forEach(prop => {
+                applied.push(Object.assign({
+                    element: el,
+                    selector: getSelectorPath(el),
+                    style: prop,
+                    oldValue: entry.styles[prop],
+                    value: el.style[prop] || ''
+                }, entry.meta.styles[prop], { suppressed: false, applied: true }));
+            });
+        });
+
+        const report = {
+            url: location.href,
+            date: new Date().toISOString(),
+            version: A11Y_VERSION,
+            records: applied.concat(auditRecords),
+            issues: auditIssues,
+            outline: getHeadingOutline().map(entry => ({
+                level: entry.level,
+                text: entry.text,
+                selector: getSelectorPath(entry.element),
+                inferred: entry.inferred
+            }))
+        };
+        auditRecords = [];
+        auditIssues = [];
+        emitEvent('audit', report);
+        return report;
+    }
+
+    function serializeAudit(report) {
+        const withoutElement = r => {
+            const copy = Object.assign({}, r);
+            delete copy.element;
+            return copy;
+        };
+        return JSON.stringify(Object.assign({}, report, {
+            records: report.records.map(withoutElement),
+            issues: (report.issues || []).map(withoutElement),
+            outline: report.outline || []
+        }), null, 2);
+    }
+
+    function downloadAudit(report) {
+        const blob = new Blob([serializeAudit(report)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'a11y-audit-' + (location.hostname || 'page') + '.json';
+        a.setAttribute(A11Y_UI_ATTR, '');
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function showAuditPanel(report) {
+        if (!document.body) return;
+        const ui = createEnginePanel('a11y-audit-panel', 'Accessibility audit');
+        const records = report.records;
+
+        const summary = document.createElement('p');
+        summary.textContent = records.length
+            ? records.length + ' fixes missing from this page\'s markup.'
+            : 'No missing fixes found.';
+        ui.body.appendChild(summary);
+
+        const byEnhancer = {};
+        records.forEach(r => {
+            const key = r.enhancer || 'unknown';
+            byEnhancer[key] = (byEnhancer[key] || 0) + 1;
+        });
+        const counts = document.createElement('ul');
+        Object.keys(byEnhancer).forEach(name => {
+            const li = document.createElement('li');
+            li.textContent = name + ': ' + byEnhancer[name];
+            counts.appendChild(li);
+        });
+        ui.body.appendChild(counts);
+
+        const MAX_LISTED = 200;
+        const list = document.createElement('ol');
+        Object.assign(list.style, { fontSize: '12px', paddingLeft: '20px' });
+        records.slice(0, MAX_LISTED).forEach(r => {
+            const li = document.createElement('li');
+            const name = r.attr ? r.attr : 'style.' + r.style;
+            li.textContent = r.selector + ' — ' + name + ': ' +
+                (r.oldValue === null ? '(none)' : JSON.stringify(r.oldValue)) + ' → ' +
+                (r.value === null ? '(removed)' : JSON.stringify(r.value)) +
+                ' [' + (r.enhancer || 'unknown') +
+                (r.step ? ', ' + r.step + ' ' + Math.round(r.confidence * 100) + '%' : '') +
+                (r.applied ? ', applied' : '') +
+                (r.suppressed ? ', below confidence threshold' : '') + ']';
+            list.appendChild(li);
+        });
+        ui.body.appendChild(list);
+        if (records.length > MAX_LISTED) {
+            const more = document.createElement('p');
+            more.textContent = (records.length - MAX_LISTED) + ' more in the JSON export.';
+            ui.body.appendChild(more);
+        }
+
+        const issues = report.issues || [];
+        if (issues.length) {
+            const heading = document.createElement('h3');
+            heading.textContent = issues.length + ' problems that need a manual fix';
+            ui.body.appendChild(heading);
+            const issueList = document.createElement('ol');
+            Object.assign(issueList.style, { fontSize: '12px', paddingLeft: '20px' });
+            issues.slice(0, MAX_LISTED).forEach(issue => {
+                const li = document.createElement('li');
+                li.textContent = issue.selector + ' — ' + issue.message + ' [' + (issue.enhancer || 'unknown') + ']';
+                issueList.appendChild(li);
+            });
+            ui.body.appendChild(issueList);
+        }
+
+        const outline = report.outline || [];
+        if (outline.length) {
+            const heading = document.createElement('h3');
+            heading.textContent = 'Heading outline';
+            ui.body.appendChild(heading);
+            const outlineList = document.createElement('ul');
+            Object.assign(outlineList.style, { fontSize: '12px', paddingLeft: '0', listStyle: 'none' });
+            outline.slice(0, MAX_LISTED).forEach(entry => {
+                const li = document.createElement('li');
+                li.style.paddingLeft = ((entry.level - 1) * 16) + 'px';
+                li.textContent = 'H' + entry.level + ' ' + entry.text + (entry.inferred ? ' (inferred)' : '');
+                outlineList.appendChild(li);
+            });
+            ui.body.appendChild(outlineList);
+        }
+
+        ui.actions.insertBefore(createPanelButton('Export JSON', () => downloadAudit(report)), ui.actions.firstChild);
     }
 
     /* ---------------------------------------------------------
@@ -1226,45 +5089,176 @@
         if (!window.MutationObserver || mutationObserver) return;
         if (!document.body) return;
 
-        mutationObserver = new MutationObserver(mutations => {
-            if (!a11yEnabled) return;
+        mutationObserver = new MutationObserver(handleMutations);
 
-            const nodesToEnhance = [];
-            let addedNodeCount = 0;
+        observeRoot(document.body);
+        shadowRoots.forEach(observeRoot);
+        frameDocs.forEach(observeFrame);
+    }
 
-            for (const m of mutations) {
-                if (m.type === 'childList' && m.addedNodes && m.addedNodes.length) {
-                    m.addedNodes.forEach(n => {
-                        if (n.nodeType !== 1) return;
-                        nodesToEnhance.push(n);
+    function handleMutations(mutations) {
+        if (!a11yEnabled) return;
 
-                        // heuristic: count likely "items" for infinite scroll
-                        if (n.matches && n.matches('li, article, [role="listitem"], .card, .tweet, .post')) {
-                            addedNodeCount++;
-                        }
-                    });
-                }
+        const nodesToEnhance = [];
+        let addedNodeCount = 0;
+        let nodesRemoved = false;
+
+        for (const m of mutations) {
+            if (m.type === 'childList' && m.removedNodes && m.removedNodes.length) {
+                nodesRemoved = true;
+            }
+            if (m.type === 'childList' && m.addedNodes && m.addedNodes.length) {
+                m.addedNodes.forEach(n => {
+                    if (n.nodeType !== 1) return;
+                    if (isEngineUI(n)) return;
+                    nodesToEnhance.push(n);
+                    revealedNodes.add(n);
+
+                    // heuristic: count likely "items" for infinite scroll
+                    if (n.matches && n.matches('li, article, [role="listitem"], .card, .tweet, .post')) {
+                        addedNodeCount++;
+                    }
+                });
+            } else if (m.type === 'attributes') {
+                queueAttributeChange(m);
             }
+        }
+
+        if (nodesRemoved && openDialogs.length) {
+            checkOpenDialogs();
+        }
+        // a landmark that went away takes its skip link with it on the next pass
+        if (nodesRemoved && Array.from(skipLinkTargets.values()).some(el => !el.isConnected)) {
+            scheduleEnhancements(0);
+        }
 
-            if (nodesToEnhance.length > 0) {
-                requestAnimationFrame(() => {
-                    nodesToEnhance.forEach(n => runLocalEnhancements(n));
+        if (nodesToEnhance.length > 0) {
+            requestAnimationFrame(() => {
+                nodesToEnhance.forEach(n => {
+                    seedVisibility(n);
+                    discoverShadowRoots(n);
+                    runLocalEnhancements(n);
+                    discoverFrames(n);
                 });
+            });
 
-                scheduleEnhancements(addedNodeCount);
-            }
+            scheduleEnhancements(addedNodeCount);
+        }
 
-            mutationCounter++;
-            if (mutationCounter >= 80) {
-                garbageCollect();
-                mutationCounter = 0;
-            }
+        mutationCounter++;
+        if (mutationCounter >= 80) {
+            garbageCollect();
+            pruneShadowRoots();
+            // catch shadow roots attached after their host was inserted
+            discoverShadowRoots(document.body);
+            mutationCounter = 0;
+        }
+    }
+
+    /* Attribute changes: modals, drawers and menus that already sit in the DOM
+       and are shown by flipping a class / style / hidden / open / aria-expanded.
+       Flips are batched per frame and only elements that actually went from
+       hidden to visible are routed through the enhancers. class / data-state /
+       data-value flips also refresh required states the engine filled in. */
+
+    const OBSERVED_ATTRIBUTES = ['class', 'style', 'hidden', 'open', 'aria-expanded', 'data-state', 'data-value'];
+
+    const OBSERVER_OPTIONS = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: OBSERVED_ATTRIBUTES
+    };
+
+    let pendingAttrTargets = new Set();
+    let attrFlushScheduled = false;
+    let lastVisibility = new WeakMap(); // Map<Element, boolean> as of the last flush; unseen = visible
+    let revealedNodes = new WeakSet(); // inserted or shown by the page after the engine started
+
+    function queueAttributeChange(m) {
+        const el = m.target;
+        if (!isElement(el) || isEngineUI(el)) return;
+        const doc = docOf(el);
+        if (el === doc.documentElement || el === doc.body) return;
+
+        if (m.attributeName === 'class' || m.attributeName === 'data-state' || m.attributeName === 'data-value') {
+            syncGuessedState(el);
+            if (m.attributeName !== 'class') return;
+        }
+
+        if (m.attributeName === 'aria-expanded') {
+            // the trigger stays visible; what it controls is what appears
+            if (el.getAttribute('aria-expanded') !== 'true') return;
+            (el.getAttribute('aria-controls') || '').split(/\s+/).forEach(id => {
+                const target = id && getByIdFrom(el, id);
+                if (target) pendingAttrTargets.add(target);
+            });
+        } else {
+            pendingAttrTargets.add(el);
+        }
+
+        if (attrFlushScheduled || !pendingAttrTargets.size) return;
+        attrFlushScheduled = true;
+        requestAnimationFrame(flushAttributeChanges);
+    }
+
+    function flushAttributeChanges() {
+        attrFlushScheduled = false;
+        const targets = Array.from(pendingAttrTargets);
+        pendingAttrTargets = new Set();
+        if (!a11yEnabled) return;
+
+        if (openDialogs.length) {
+            checkOpenDialogs();
+        }
+
+        const revealed = targets.filter(el => {
+            if (!el.isConnected || isEngineUI(el)) return false;
+            const visible = isVisible(el);
+            const wasVisible = lastVisibility.get(el);
+            lastVisibility.set(el, visible);
+            // only elements seen hidden count, so restyling a visible wrapper is not a reveal
+            return visible && wasVisible === false;
         });
 
-        mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true
+        // a revealed ancestor's scan already covers its descendants
+        const roots = revealed.filter(el => !revealed.some(other => other !== el && composedContains(other, el)));
+        if (!roots.length) return;
+
+        roots.forEach(el => {
+            revealedNodes.add(el);
+            toArray(el.children).forEach(seedVisibility);
+            discoverShadowRoots(el);
+            runLocalEnhancements(el);
         });
+        scheduleEnhancements(0);
+    }
+
+    // Marks elements their own styles hide; what is inside them is seeded once they are revealed
+    function seedVisibility(el) {
+        if (!isElement(el) || isEngineUI(el)) return;
+        const style = getStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+            lastVisibility.set(el, false);
+            return;
+        }
+        toArray(el.children).forEach(seedVisibility);
+    }
+
+    function observeRoot(root) {
+        if (!mutationObserver) return;
+        mutationObserver.observe(root, OBSERVER_OPTIONS);
+        toArray(root.children).forEach(seedVisibility);
+    }
+
+    // Frames get an observer from their own window so records are delivered there
+    function observeFrame(doc) {
+        if (!mutationObserver || frameObservers.has(doc) || !doc.body) return;
+        const FrameObserver = (doc.defaultView && doc.defaultView.MutationObserver) || MutationObserver;
+        const observer = new FrameObserver(handleMutations);
+        observer.observe(doc.body, OBSERVER_OPTIONS);
+        frameObservers.set(doc, observer);
+        toArray(doc.body.children).forEach(seedVisibility);
     }
 
     function stopMutationObserver() {
@@ -1272,6 +5266,11 @@
             mutationObserver.disconnect();
             mutationObserver = null;
         }
+        frameObservers.forEach(observer => observer.disconnect());
+        frameObservers.clear();
+        pendingAttrTargets = new Set();
+        lastVisibility = new WeakMap();
+        revealedNodes = new WeakSet();
     }
 
     /* ---------------------------------------------------------
@@ -1296,21 +5295,93 @@
     --------------------------------------------------------- */
 
     function enableA11Y() {
+        discoverShadowRoots(document.body);
         addGlobalStyles();
-        addSkipLink();
+        addEnhancerListener(document, 'focusin', rememberFocus, true);
         runLocalEnhancements(document.body);
         runGlobalEnhancements(0);
         startMutationObserver();
+        discoverFrames(document.body);
+        emitEvent('enabled', { version: A11Y_VERSION });
     }
 
     function disableA11Y() {
+        setInspector(false);
         stopMutationObserver();
         removeSkipLink();
         removeLiveRegion();
         removeGlobalStyles();
         clearAllTrackedChanges();
+        removeTrackedListeners();
+        shadowRoots.clear();
+        frameDocs.clear();
+        framesSeen = new WeakSet();
+        pseudoHeadingCache = new WeakMap();
+        guessedStates = new WeakMap();
+        openDialogs = [];
+        focusHistory = [];
         pendingItemCount = 0;
         mutationCounter = 0;
+        emitEvent('disabled', { version: A11Y_VERSION });
+    }
+
+    /* ---------------------------------------------------------
+       PUBLIC API (window.a11yEngine)
+    --------------------------------------------------------- */
+
+    // Bump on any breaking change to the shape of window.a11yEngine
+    const A11Y_API_VERSION = 1;
+
+    function scanSubtree(root) {
+        if (!a11yEnabled) return;
+        runLocalEnhancements(root || document.body);
+        scheduleEnhancements(0);
+    }
+
+    const publicApi = Object.freeze({
+        version: A11Y_VERSION,
+        apiVersion: A11Y_API_VERSION,
+        enable: () => setEnabled(true),
+        disable: () => setEnabled(false),
+        isEnabled: () => a11yEnabled,
+        openSettings: openSettingsPanel,
+        scan: scanSubtree,
+        announce: announce,
+        getChanges: getTrackedChanges,
+        revertElement: revertElement,
+        revertEnhancer: revertEnhancer,
+        reapply: reapplyFixes,
+        setUserLabel: setUserLabel,
+        removeUserLabel: removeUserLabel,
+        getUserLabels: () => JSON.parse(JSON.stringify(userLabels)),
+        on: subscribe,
+        off: unsubscribe,
+        getSettings: () => Object.assign({}, settings),
+        updateSettings: updateSettings,
+        getProfile: getProfile,
+        updateProfile: updateProfile,
+        resetProfile: resetProfile,
+        inspect: active => setInspector(active === undefined ? !inspectorActive : active),
+        quickNav: openQuickNav,
+        audit: runAudit,
+        showAudit: () => showAuditPanel(runAudit()),
+        exportAudit: report => serializeAudit(report || runAudit()),
+        registerEnhancer: registerEnhancer,
+        unregisterEnhancer: unregisterEnhancer,
+        setEnhancerEnabled: setEnhancerEnabled,
+        getShortcuts: getShortcuts,
+        setShortcut: setShortcut,
+        listEnhancers: listEnhancers,
+        getHeadingOutline: getHeadingOutline,
+        getLandmarks: () => getLandmarks(document),
+        registerIcons: registerIcons,
+        getAccessibleName: getAccessibleName
+    });
+
+    function exposePublicApi() {
+        window.a11yEngine = publicApi;
+        // scripts loaded before us can wait for this instead of polling
+        window.dispatchEvent(new CustomEvent('a11yengine:ready', { detail: publicApi }));
     }
 
     /* ---------------------------------------------------------
@@ -1319,10 +5390,13 @@
 
     function init() {
         checkForScriptUpdate();
-        createToggleButton();
+        createLauncher();
         setupKeyboardInteractions();
     }
 
+    registerBuiltInEnhancers();
+    exposePublicApi();
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
     } else {